@@ -0,0 +1,158 @@
+// HTTP front end of the scheduling service (see scripts/server.js for the endpoints).
+// createSchedulingServer wraps one service state in a node:http server, so the server
+// script and the tests run the very same request handling.
+
+import { createServer } from 'node:http'
+import { initialProviders } from '../src/data/providers.js'
+import { DEFAULT_DEMAND } from '../src/engine/demand.js'
+import { generateSeed } from '../src/engine/random.js'
+import { createScenario, validateScenario } from '../src/engine/scenario.js'
+import {
+  commitBooking,
+  createServiceState,
+  getBoard,
+  getScores,
+  getServiceScenario,
+  getSlotWinner,
+  parsePatientState,
+  releaseBooking,
+  withRoster,
+  withScoring
+} from '../src/engine/schedulingService.js'
+import { DEFAULT_STRATEGY } from '../src/engine/strategies.js'
+import { DEFAULT_TIE_BREAK } from '../src/engine/tieBreaking.js'
+import { defaultSlotConfig } from '../src/engine/timeSlots.js'
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024
+const STATUS_BY_CODE = { invalid: 400, notFound: 404, conflict: 409 }
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+const readJsonBody = async (request) => {
+  let body = ''
+  for await (const chunk of request) {
+    body += chunk
+    if (body.length > MAX_BODY_BYTES) throw new RequestError(413, 'The request body is too large')
+  }
+  try {
+    return JSON.parse(body)
+  } catch (error) {
+    throw new RequestError(400, `The request body is not valid JSON: ${error.message}`)
+  }
+}
+
+// The grid runs on another origin (the Vite dev server), so every response allows any origin
+const send = (response, status, data) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  response.end(data === undefined ? undefined : JSON.stringify(data))
+}
+
+// A slot ID taken from the path, e.g. /slots/2024-01-01-10-40/winner
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    throw new RequestError(400, `The path segment ${JSON.stringify(segment)} is not valid percent-encoding`)
+  }
+}
+
+const getPatientState = (url) => {
+  const result = parsePatientState(url.searchParams.get('patientState'))
+  if (result.errors) throw new RequestError(400, result.errors[0])
+  return result.patientState
+}
+
+// The service state the server starts from: the sample roster and default settings, no bookings
+export const createDefaultServiceState = (seed = generateSeed()) => {
+  return createServiceState(createScenario({
+    providers: initialProviders,
+    slotConfig: defaultSlotConfig,
+    strategy: DEFAULT_STRATEGY,
+    strategyParams: {},
+    weight1: 0.8,
+    weight2: 0.2,
+    tieBreak: DEFAULT_TIE_BREAK,
+    compareRawScores: false,
+    seed,
+    runSeed: null,
+    speed: 1560,
+    demand: DEFAULT_DEMAND,
+    selectedSlots: {},
+    events: []
+  }))
+}
+
+// Server answering the scheduling API for a service state it keeps in memory
+export const createSchedulingServer = (initialState = createDefaultServiceState()) => {
+  let state = initialState
+
+  // Send a service result: a new state is kept and reply() builds the response body
+  const sendResult = (response, result, reply) => {
+    if (result.errors) {
+      send(response, STATUS_BY_CODE[result.code] ?? 400, { errors: result.errors })
+      return
+    }
+    if (result.state) state = result.state
+    send(response, 200, reply(result))
+  }
+
+  const handleRequest = async (request, response) => {
+    const url = new URL(request.url, 'http://localhost')
+    const route = `${request.method} ${url.pathname}`
+    let match
+
+    if (request.method === 'OPTIONS') {
+      send(response, 204)
+    } else if (route === 'GET /health') {
+      send(response, 200, { ok: true })
+    } else if (route === 'GET /scenario') {
+      send(response, 200, getServiceScenario(state))
+    } else if (route === 'PUT /scenario') {
+      const scenario = await readJsonBody(request)
+      const errors = validateScenario(scenario)
+      sendResult(response, errors.length > 0 ? { errors, code: 'invalid' } : { state: createServiceState(scenario) }, () => ({ scores: getScores(state) }))
+    } else if (route === 'PUT /roster') {
+      const body = await readJsonBody(request)
+      sendResult(response, withRoster(state, body?.providers, body?.slotConfig), () => ({ scores: getScores(state) }))
+    } else if (route === 'PUT /weights') {
+      sendResult(response, withScoring(state, await readJsonBody(request)), () => ({ scoring: state.scenario.scoring, scores: getScores(state) }))
+    } else if (route === 'GET /scores') {
+      send(response, 200, getScores(state))
+    } else if (route === 'GET /board') {
+      send(response, 200, getBoard(state, getPatientState(url)))
+    } else if (request.method === 'GET' && (match = url.pathname.match(/^\/slots\/([^/]+)\/winner$/))) {
+      sendResult(response, getSlotWinner(state, decodePathSegment(match[1]), getPatientState(url)), (winner) => winner)
+    } else if (route === 'POST /bookings') {
+      const body = await readJsonBody(request)
+      const patient = parsePatientState(body?.patientState)
+      const result = patient.errors ? patient : commitBooking(state, {
+        providerId: body?.providerId,
+        slotId: body?.slotId,
+        patientState: patient.patientState,
+        force: body?.force === true
+      })
+      sendResult(response, result, ({ event }) => ({ event, scores: getScores(state) }))
+    } else if (request.method === 'DELETE' && (match = url.pathname.match(/^\/bookings\/(\d+)\/([^/]+)$/))) {
+      const result = releaseBooking(state, { providerId: Number(match[1]), slotId: decodePathSegment(match[2]) })
+      sendResult(response, result, ({ event }) => ({ event, scores: getScores(state) }))
+    } else {
+      send(response, 404, { errors: [`No endpoint for ${route}`] })
+    }
+  }
+
+  return createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+      send(response, error instanceof RequestError ? error.status : 500, { errors: [error.message] })
+    })
+  })
+}
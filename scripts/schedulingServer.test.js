@@ -0,0 +1,109 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../src/data/providers.js'
+import { fetchBoard, fetchScenario, pushRoster, pushScoring } from '../src/utils/schedulingApi.js'
+import { createDefaultServiceState, createSchedulingServer } from './schedulingServer.js'
+
+const server = createSchedulingServer(createDefaultServiceState(1))
+let baseUrl
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+// { status, body } of a request; body is sent as is when it is a string
+const call = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  })
+  const text = await response.text()
+  return { status: response.status, body: text ? JSON.parse(text) : null }
+}
+
+const slotId = '2024-01-01-10-0'
+
+describe('scheduling API', () => {
+  it('answers the health check and unknown routes', async () => {
+    assert.deepEqual(await call('GET', '/health'), { status: 200, body: { ok: true } })
+    const unknown = await call('GET', '/nowhere')
+    assert.equal(unknown.status, 404)
+    assert.deepEqual(unknown.body.errors, ['No endpoint for GET /nowhere'])
+  })
+
+  it('replaces the roster and rejects an invalid one', async () => {
+    const roster = await call('PUT', '/roster', { providers: initialProviders })
+    assert.equal(roster.status, 200)
+    assert.equal(roster.body.scores.length, initialProviders.length)
+    const invalid = await call('PUT', '/roster', { providers: [{ id: 1, name: 'A', licenses: 'many' }] })
+    assert.equal(invalid.status, 400)
+    assert.ok(invalid.body.errors.length > 0)
+  })
+
+  it('changes the weights and rejects weights that do not add up to 1', async () => {
+    const weights = await call('PUT', '/weights', { weight1: 0.6, weight2: 0.4 })
+    assert.equal(weights.status, 200)
+    assert.equal(weights.body.scoring.weight1, 0.6)
+    const invalid = await call('PUT', '/weights', { weight1: 0.3, weight2: 0.2 })
+    assert.equal(invalid.status, 400)
+    assert.match(invalid.body.errors[0], /add up to 1/)
+    assert.equal((await call('GET', '/scenario')).body.scoring.weight1, 0.6)
+  })
+
+  it('answers who gets a slot, and 404 or 400 for unknown slots and states', async () => {
+    const winner = await call('GET', `/slots/${slotId}/winner?patientState=CA`)
+    assert.equal(winner.status, 200)
+    assert.equal(winner.body.patientState, 'CA')
+    assert.equal(typeof winner.body.winnerId, 'number')
+    assert.equal((await call('GET', '/slots/2024-01-01-25-0/winner')).status, 404)
+    assert.equal((await call('GET', `/slots/${slotId}/winner?patientState=XX`)).status, 400)
+    assert.equal((await call('GET', '/slots/%E0%A4%A/winner')).status, 400)
+  })
+
+  it('books and frees slots through the bookings endpoints', async () => {
+    const { body: { winnerId } } = await call('GET', `/slots/${slotId}/winner`)
+    const booked = await call('POST', '/bookings', { providerId: winnerId, slotId })
+    assert.equal(booked.status, 200)
+    assert.equal(booked.body.event.providerId, winnerId)
+    assert.equal(booked.body.scores.find(s => s.id === winnerId).booked, 1)
+
+    assert.equal((await call('POST', '/bookings', { providerId: winnerId, slotId, force: true })).status, 409)
+    assert.equal((await call('POST', '/bookings', { providerId: winnerId, slotId: 'nope' })).status, 404)
+    assert.equal((await call('GET', '/scores')).body.find(s => s.id === winnerId).booked, 1)
+
+    assert.equal((await call('DELETE', `/bookings/${winnerId}/${slotId}`)).status, 200)
+    assert.equal((await call('DELETE', `/bookings/${winnerId}/${slotId}`)).status, 404)
+  })
+
+  it('answers a body that is not JSON with 400', async () => {
+    const response = await call('POST', '/bookings', '{"providerId": 1,')
+    assert.equal(response.status, 400)
+    assert.match(response.body.errors[0], /not valid JSON/)
+  })
+})
+
+describe('scheduling API client', () => {
+  it('pushes the roster, clinic day and scoring settings', async () => {
+    const slotConfig = { startDate: '2024-01-02', days: 1, startHour: 9, endHour: 11, intervalMinutes: 30 }
+    const providers = [...initialProviders, { id: 8, name: 'Unlicensed', licenses: 0, states: [] }]
+    await pushRoster(baseUrl, providers, slotConfig)
+    await pushScoring(baseUrl, { weight1: 0.7, weight2: 0.3 })
+    const scenario = await fetchScenario(baseUrl)
+    assert.deepEqual(scenario.slotConfig, slotConfig)
+    assert.equal(scenario.providers.length, providers.length)
+    assert.equal(scenario.scoring.weight2, 0.3)
+  })
+
+  it('reads the board with infinite scores restored', async () => {
+    const board = await fetchBoard(baseUrl, 'CA')
+    assert.equal(board.scores[8], Infinity)
+    assert.equal(Object.keys(board.winners).length, 4)
+  })
+
+  it('throws the service errors', async () => {
+    await assert.rejects(pushScoring(baseUrl, { weight1: 0.9, weight2: 0.9 }), /add up to 1/)
+  })
+})
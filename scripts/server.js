@@ -0,0 +1,43 @@
+// Scheduling API: the prioritizer as a local HTTP service, so a booking backend gets the
+// same answer to "who gets this slot?" as the grid. It keeps one scenario in memory
+// (the sample roster and default settings until one is loaded) and answers with the
+// engine's own getSlotDecision. The grid can connect to it from its header.
+//
+//   npm run serve -- --port 8787
+//
+// Endpoints (JSON in and out; errors are { errors: [...] } with a 4xx status):
+//   GET    /health                             { ok: true }
+//   GET    /scenario                           the scenario with its bookings, in the export file format
+//   PUT    /scenario                           load a scenario file (replaces everything)
+//   PUT    /roster          { providers, slotConfig? }
+//                                              replace the roster (and clinic day); bookings of removed
+//                                              providers or slots are dropped
+//   PUT    /weights         { weight1, ... }   change weight1, weight2 (adding up to 1), strategy, strategyParams,
+//                                              tieBreak, compareRawScores
+//   GET    /scores                             [{ id, name, licenses, score, booked }] (score null = no licenses)
+//   GET    /board?patientState=CA              { scores, winners: { slotId: providerId } }
+//   GET    /slots/:slotId/winner?patientState=CA
+//                                              { slotId, patientState, winnerId, maxScore, tieBreak, candidates }
+//   POST   /bookings        { providerId, slotId, patientState?, force? }
+//                                              book the slot; only the current winner unless force is true
+//   DELETE /bookings/:providerId/:slotId       free a booked slot (a cancellation)
+
+import { parseArgs } from 'node:util'
+import { createSchedulingServer } from './schedulingServer.js'
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' }
+  }
+})
+
+const port = Number(values.port)
+if (!Number.isInteger(port) || port < 1 || port > 65535) {
+  console.error(`--port must be an integer between 1 and 65535, got "${values.port}"`)
+  process.exit(1)
+}
+
+createSchedulingServer().listen(port, values.host, () => {
+  console.log(`Scheduling API listening on http://${values.host}:${port}`)
+})
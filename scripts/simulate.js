@@ -0,0 +1,167 @@
+// Headless batch simulation: run the booking policy many times without the UI
+// and print per-provider slot statistics and fairness (Gini) across runs.
+// --fill is the share of the grid (providers x slots) booked before a run stops;
+// at 1 every provider ends up with every slot, so the default looks at half capacity.
+//
+// --seed makes the batch reproducible; run r uses seed + r.
+// --days, --start-hour, --end-hour and --interval set the clinic day as in the grid.
+// --strategy picks a scoring strategy; --param key=value sets its parameters.
+// --tie-break picks how equal top scores are resolved; --raw-scores compares
+// untruncated scores so fewer slots tie in the first place.
+// --demand picks a patient demand model; --demand-param key=value sets its parameters
+// and --cancellation is the chance each booking is cancelled or a no-show.
+// --match-states gives each patient a state from the roster's licenses.
+//
+//   npm run simulate -- --runs 5000 --weight1 0.8 --fill 0.5 --seed 42
+//   npm run simulate -- --days 5 --start-hour 8 --end-hour 18 --interval 30
+//   npm run simulate -- --strategy exponential --param decay=0.6
+//   npm run simulate -- --tie-break fewestAssigned --raw-scores
+//   npm run simulate -- --demand timeOfDay --demand-param peakHour=9 --cancellation 0.1
+
+import { parseArgs } from 'node:util'
+import { initialProviders } from '../src/data/providers.js'
+import { getLicenseCount } from '../src/engine/licensing.js'
+import { generateSeed, MAX_SEED } from '../src/engine/random.js'
+import { createEngineContext } from '../src/engine/scoring.js'
+import { DEFAULT_STRATEGY, scoringStrategies } from '../src/engine/strategies.js'
+import { runBatch } from '../src/engine/simulation.js'
+import { DEFAULT_TIE_BREAK, tieBreakPolicies } from '../src/engine/tieBreaking.js'
+import { DEFAULT_DEMAND_MODEL, demandModels } from '../src/engine/demand.js'
+import { defaultSlotConfig, generateTimeSlots, validateSlotConfig } from '../src/engine/timeSlots.js'
+
+const { values } = parseArgs({
+  options: {
+    runs: { type: 'string', default: '1000' },
+    weight1: { type: 'string', default: '0.8' },
+    fill: { type: 'string', default: '0.5' },
+    seed: { type: 'string' },
+    days: { type: 'string', default: String(defaultSlotConfig.days) },
+    'start-hour': { type: 'string', default: String(defaultSlotConfig.startHour) },
+    'end-hour': { type: 'string', default: String(defaultSlotConfig.endHour) },
+    interval: { type: 'string', default: String(defaultSlotConfig.intervalMinutes) },
+    strategy: { type: 'string', default: DEFAULT_STRATEGY },
+    param: { type: 'string', multiple: true, default: [] },
+    'tie-break': { type: 'string', default: DEFAULT_TIE_BREAK },
+    'raw-scores': { type: 'boolean', default: false },
+    demand: { type: 'string', default: DEFAULT_DEMAND_MODEL },
+    'demand-param': { type: 'string', multiple: true, default: [] },
+    cancellation: { type: 'string', default: '0' },
+    'match-states': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false }
+  }
+})
+
+const runs = parseInt(values.runs)
+const weight1 = parseFloat(values.weight1)
+const fill = parseFloat(values.fill)
+const seed = values.seed === undefined ? generateSeed() : Number(values.seed)
+
+if (!Number.isInteger(runs) || runs < 1) {
+  console.error(`--runs must be a positive integer, got "${values.runs}"`)
+  process.exit(1)
+}
+if (Number.isNaN(weight1) || weight1 < 0 || weight1 > 1) {
+  console.error(`--weight1 must be between 0 and 1, got "${values.weight1}"`)
+  process.exit(1)
+}
+if (Number.isNaN(fill) || fill <= 0 || fill > 1) {
+  console.error(`--fill must be greater than 0 and at most 1, got "${values.fill}"`)
+  process.exit(1)
+}
+if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+  console.error(`--seed must be an integer between 0 and ${MAX_SEED}, got "${values.seed}"`)
+  process.exit(1)
+}
+
+const slotConfig = {
+  ...defaultSlotConfig,
+  days: Number(values.days),
+  startHour: Number(values['start-hour']),
+  endHour: Number(values['end-hour']),
+  intervalMinutes: Number(values.interval)
+}
+const slotConfigErrors = validateSlotConfig(slotConfig)
+if (slotConfigErrors.length > 0) {
+  slotConfigErrors.forEach(error => console.error(error))
+  process.exit(1)
+}
+
+const strategy = scoringStrategies[values.strategy]
+if (!strategy) {
+  console.error(`--strategy must be one of ${Object.keys(scoringStrategies).join(', ')}, got "${values.strategy}"`)
+  process.exit(1)
+}
+const strategyParams = {}
+values.param.forEach(entry => {
+  const [key, value] = entry.split('=')
+  if (!strategy.params.some(param => param.key === key) || Number.isNaN(parseFloat(value))) {
+    const known = strategy.params.map(param => param.key).join(', ') || 'none'
+    console.error(`--param must be key=number for a parameter of ${values.strategy} (${known}), got "${entry}"`)
+    process.exit(1)
+  }
+  strategyParams[key] = parseFloat(value)
+})
+
+const tieBreak = tieBreakPolicies[values['tie-break']]
+if (!tieBreak) {
+  console.error(`--tie-break must be one of ${Object.keys(tieBreakPolicies).join(', ')}, got "${values['tie-break']}"`)
+  process.exit(1)
+}
+
+const demandModel = demandModels[values.demand]
+if (!demandModel) {
+  console.error(`--demand must be one of ${Object.keys(demandModels).join(', ')}, got "${values.demand}"`)
+  process.exit(1)
+}
+const demandParams = {}
+values['demand-param'].forEach(entry => {
+  const [key, value] = entry.split('=')
+  const param = demandModel.params.find(p => p.key === key)
+  if (!param || Number.isNaN(parseFloat(value)) || parseFloat(value) < param.min || parseFloat(value) > param.max) {
+    const known = demandModel.params.map(p => `${p.key} ${p.min}-${p.max}`).join(', ') || 'none'
+    console.error(`--demand-param must be key=number for a parameter of ${values.demand} (${known}), got "${entry}"`)
+    process.exit(1)
+  }
+  demandParams[key] = parseFloat(value)
+})
+const cancellationRate = parseFloat(values.cancellation)
+if (Number.isNaN(cancellationRate) || cancellationRate < 0 || cancellationRate >= 1) {
+  console.error(`--cancellation must be at least 0 and below 1, got "${values.cancellation}"`)
+  process.exit(1)
+}
+const demand = { model: values.demand, params: demandParams, cancellationRate, matchPatientStates: values['match-states'] }
+
+const context = createEngineContext({
+  providers: [...initialProviders].sort((a, b) => getLicenseCount(a) - getLicenseCount(b)),
+  timeSlots: generateTimeSlots(slotConfig),
+  weight1,
+  weight2: 1 - weight1,
+  strategy: values.strategy,
+  strategyParams,
+  tieBreak: values['tie-break'],
+  compareRawScores: values['raw-scores']
+})
+
+const maxBookings = Math.round(context.providers.length * context.timeSlots.length * fill)
+const report = runBatch(context, { runs, seed, maxBookings, demand })
+
+if (values.json) {
+  console.log(JSON.stringify({ weight1, weight2: context.weight2, strategy: values.strategy, strategyParams: context.strategyParams, tieBreak: values['tie-break'], compareRawScores: values['raw-scores'], demand, ...report }, null, 2))
+} else {
+  console.log(`${report.runs} runs, ${report.totalSlots} slots, ${maxBookings} bookings per run, weight1=${weight1.toFixed(2)} weight2=${context.weight2.toFixed(2)}, seed ${seed}`)
+  console.log(`Scoring: ${strategy.label}, ${strategy.formula({ weight1, weight2: context.weight2, ...context.strategyParams })}`)
+  console.log(`Ties: ${tieBreak.label}, comparing ${values['raw-scores'] ? 'raw' : 'truncated'} scores`)
+  console.log(`Demand: ${demandModel.label}${Object.keys(demandParams).length > 0 ? ` (${values['demand-param'].join(', ')})` : ''}, cancellation/no-show rate ${cancellationRate}, ${demand.matchPatientStates ? 'patients matched to licensed states' : 'state licenses ignored'}`)
+  console.log(`Mean iterations per run: ${report.meanIterations.toFixed(1)}, cancellations ${report.meanReleases.toFixed(1)}, unserved patients ${report.meanUnmetRequests.toFixed(1)}\n`)
+  console.table(report.providers.map(p => ({
+    provider: p.name,
+    licenses: p.licenses,
+    'mean slots': p.meanSlots.toFixed(2),
+    share: `${(p.share * 100).toFixed(1)}%`,
+    min: p.minSlots,
+    max: p.maxSlots,
+    variance: p.variance.toFixed(3),
+    distribution: Object.entries(p.distribution).map(([slots, count]) => `${slots}:${count}`).join(' ')
+  })))
+  console.log(`Gini coefficient: mean ${report.gini.mean.toFixed(4)}, variance ${report.gini.variance.toFixed(6)}, range ${report.gini.min.toFixed(4)}-${report.gini.max.toFixed(4)}`)
+}
@@ -1,66 +1,231 @@
 import { useState, useMemo, useEffect, useRef, useCallback } from 'react'
 import './App.css'
+import {
+  countSelectedSlots,
+  createEngineContext,
+  createScoreCache,
+  explainSlotDecision,
+  formatTruncatedScore,
+  getHighlightedSlots,
+  isSlotSelected
+} from './engine/scoring.js'
+import { keepBlockedSlotsIn, toggleBlockedSlot, UNAVAILABLE_REASON_LABELS } from './engine/availability.js'
+import { CONSTRAINT_LABELS, getConstraintBlock } from './engine/constraints.js'
+import { DEFAULT_STRATEGY, getDefaultStrategyParams, getStrategy, scoringStrategies } from './engine/strategies.js'
+import { DEFAULT_TIE_BREAK, tieBreakPolicies } from './engine/tieBreaking.js'
+import { generateSeed, MAX_SEED } from './engine/random.js'
+import { createScenario } from './engine/scenario.js'
+import { encodeShareHash } from './engine/shareLink.js'
+import { DEFAULT_DEMAND } from './engine/demand.js'
+import { getLicenseCount, getRosterStates, isLicensedIn, withStates } from './engine/licensing.js'
+import {
+  createSelectionEvent,
+  EMPTY_TIMELINE,
+  eventsFromSelection,
+  getAppliedEvents,
+  getIterationBookings,
+  getLastIteration,
+  recordEvent,
+  recordEvents,
+  removeProviderEvents,
+  replayEvents,
+  seekTimeline
+} from './engine/timeline.js'
+import { defaultSlotConfig, generateTimeSlots } from './engine/timeSlots.js'
+import { DEFAULT_TIME_ZONE, getSlotLabels, getTimeZoneLabel } from './engine/timeZones.js'
+import { initialProviders } from './data/providers.js'
+import AnalyticsDashboard from './components/AnalyticsDashboard.jsx'
+import ClinicDayControls from './components/ClinicDayControls.jsx'
+import ComparisonPanel from './components/ComparisonPanel.jsx'
+import DemandControls from './components/DemandControls.jsx'
+import ExplainPanel from './components/ExplainPanel.jsx'
+import RosterEditor from './components/RosterEditor.jsx'
+import ScenarioControls from './components/ScenarioControls.jsx'
+import ShareLinkControls from './components/ShareLinkControls.jsx'
+import SchedulingApiControls from './components/SchedulingApiControls.jsx'
+import SpeedControls from './components/SpeedControls.jsx'
+import SweepPanel from './components/SweepPanel.jsx'
+import SavedScenariosMenu from './components/SavedScenariosMenu.jsx'
+import ScheduleExportControls from './components/ScheduleExportControls.jsx'
+import TimelineControls from './components/TimelineControls.jsx'
+import { downloadFile } from './utils/download.js'
+import { loadSession, saveSession } from './utils/scenarioStorage.js'
+import { DEFAULT_API_URL, fetchBoard, pushRoster, pushScoring } from './utils/schedulingApi.js'
+import { playSteps } from './utils/stepAnimation.js'
+import { createSimulationClient } from './workers/simulationClient.js'
 
-// Generate time slots from 10am to 1pm (10-minute intervals)
-const generateTimeSlots = () => {
-  const slots = []
-  const startHour = 10
-  const endHour = 13 // 1pm
-  const intervalMinutes = 10
-  
-  for (let hour = startHour; hour < endHour; hour++) {
-    for (let minute = 0; minute < 60; minute += intervalMinutes) {
-      const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`
-      slots.push({
-        id: `${hour}-${minute}`,
-        time: timeString,
-        displayTime: new Date(2024, 0, 1, hour, minute).toLocaleTimeString('en-US', {
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true
-        })
-      })
-    }
+const AUTO_SAVE_DELAY_MS = 500
+const API_SYNC_DELAY_MS = 300
+const DEFAULT_SPEED = 1560
+// Animation delays at the default speed; they scale with the interval between iterations
+const PICK_START_DELAY_MS = 750 // Red borders on an iteration's picks before the first is booked
+const PICK_STEP_DELAY_MS = 200 // Between bookings within an iteration
+const INSTANT_TICK_MS = 50 // How soon instant mode starts running to the end
+const GRID_MOVES = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] } // [rows, columns]
+
+// Simulator settings and bookings held in a scenario, with defaults for fields older files leave out
+const getScenarioState = (scenario) => {
+  // Files without a history still get a timeline: one manual booking per booked slot
+  const { selectedSlots, events } = scenario.selection
+  const timelineEvents = events.length > 0
+    ? events
+    : eventsFromSelection(selectedSlots, generateTimeSlots(scenario.slotConfig))
+  return {
+    providers: scenario.providers,
+    slotConfig: scenario.slotConfig,
+    scoringStrategy: scenario.scoring.strategy,
+    strategyParams: scenario.scoring.strategyParams,
+    weight1: scenario.scoring.weight1,
+    weight2: scenario.scoring.weight2,
+    tieBreak: scenario.scoring.tieBreak ?? DEFAULT_TIE_BREAK,
+    compareRawScores: scenario.scoring.compareRawScores ?? false,
+    seed: scenario.simulation.seed,
+    runSeed: scenario.simulation.runSeed,
+    speed: scenario.simulation.speed,
+    instant: scenario.simulation.instant ?? false,
+    demand: scenario.simulation.demand ?? DEFAULT_DEMAND,
+    timeline: { events: timelineEvents, position: timelineEvents.length }
   }
-  return slots
 }
 
-// Sample healthcare providers with different licenses
-const initialProviders = [
-  { id: 1, name: 'NP Smith', licenses: 3 },
-  { id: 2, name: 'NP Johnson', licenses: 2 },
-  { id: 3, name: 'NP Williams', licenses: 5 },
-  { id: 4, name: 'NP Brown', licenses: 1 },
-  { id: 5, name: 'NP Davis', licenses: 4 },
-  { id: 6, name: 'NP Anderson', licenses: 10 },
-  { id: 7, name: 'NP Taylor', licenses: 15 }
-]
-
-function App() {
-  const [providers, setProviders] = useState(initialProviders)
-  const [selectedSlots, setSelectedSlots] = useState({}) // { providerId: { slotId: true } }
+// sharedLink is the decoded share link the page was opened from (see engine/shareLink.js),
+// or null: its scenario, or the errors that kept it from loading
+function App({ sharedLink = null }) {
+  // A share link (#z=...) opens the simulator on the scenario it carries
+  const [shared] = useState(() => (sharedLink?.scenario ? getScenarioState(sharedLink.scenario) : null))
+  const [lastSession, setLastSession] = useState(loadSession) // Auto-saved { scenario } offered for restore on startup, or the { errors } that stop it loading
+  const [providers, setProviders] = useState(shared?.providers ?? initialProviders)
+  const [timeline, setTimeline] = useState(shared?.timeline ?? EMPTY_TIMELINE) // Booking event log and replay cursor, see engine/timeline.js
   const [newlySelectedSlots, setNewlySelectedSlots] = useState({}) // { providerId: { slotId: true } } - for highlighting
   const [pendingSelectionSlots, setPendingSelectionSlots] = useState({}) // { providerId: { slotId: true } } - for red border before selection
   const [isPlaying, setIsPlaying] = useState(false)
   const [isPaused, setIsPaused] = useState(false)
-  const [weight1, setWeight1] = useState(0.8) // Weight for x term
-  const [weight2, setWeight2] = useState(0.2) // Weight for exponential term
-  const [simulationSpeedSlider, setSimulationSpeedSlider] = useState(1560) // Slider value (200-2800, where higher = faster)
+  const [weight1, setWeight1] = useState(shared?.weight1 ?? 0.8) // Weight for x term
+  const [weight2, setWeight2] = useState(shared?.weight2 ?? 0.2) // Weight for exponential term
+  const [scoringStrategy, setScoringStrategy] = useState(shared?.scoringStrategy ?? DEFAULT_STRATEGY) // Key of scoringStrategies
+  const [strategyParams, setStrategyParams] = useState(() => shared?.strategyParams ?? getDefaultStrategyParams(DEFAULT_STRATEGY)) // e.g. { decay: 1.2 }
+  const [tieBreak, setTieBreak] = useState(shared?.tieBreak ?? DEFAULT_TIE_BREAK) // Key of tieBreakPolicies
+  const [compareRawScores, setCompareRawScores] = useState(shared?.compareRawScores ?? false) // Pick winners on raw instead of truncated scores
+  const [demand, setDemand] = useState(shared?.demand ?? DEFAULT_DEMAND) // Patient demand model, its params and the cancellation rate
+  const [patientState, setPatientState] = useState(null) // Show and book slots for a patient from this state (null = any)
+  const [simulationSpeedSlider, setSimulationSpeedSlider] = useState(shared?.speed ?? DEFAULT_SPEED) // Slider value (200-2950, where higher = faster)
   // Convert slider value to interval: interval = 3000 - sliderValue
-  // So slider 200 -> interval 2800 (slow), slider 2800 -> interval 200 (fast)
+  // So slider 200 -> interval 2800 (slow), slider 2950 -> interval 50 (fast)
   const simulationSpeed = 3000 - simulationSpeedSlider
-  const timeSlots = useMemo(() => generateTimeSlots(), [])
+  const [isInstant, setIsInstant] = useState(shared?.instant ?? false) // Play runs straight to the final allocation
+  const [seed, setSeed] = useState(() => shared?.seed ?? generateSeed()) // Seed for the next run
+  const [runSeed, setRunSeed] = useState(shared?.runSeed ?? null) // Seed of the run in progress (null when no run has started)
+  const [panel, setPanel] = useState('grid') // 'grid', 'compare' (two configurations side by side) or 'sweep' (weight sweep)
+  const [isEditingAvailability, setIsEditingAvailability] = useState(false) // Clicking a cell blocks/unblocks it
+  const [slotConfig, setSlotConfig] = useState(shared?.slotConfig ?? defaultSlotConfig) // Clinic hours, slot length and days
+  const [timeDisplay, setTimeDisplay] = useState(DEFAULT_TIME_ZONE) // Zone slot times are shown in, or "provider:<id>" for a provider's home zone
+  const [explainedCell, setExplainedCell] = useState(null) // { providerId, slotId } shown in the explain panel
+  const [activeCell, setActiveCell] = useState(null) // { providerId, slotId } that keyboard focus enters the grid at
+  const [announcement, setAnnouncement] = useState(null) // Read out by screen readers: { picks } (booking events) or { finishedBookings }
+  const [animatePicks, setAnimatePicks] = useState(true) // Book an iteration's picks one by one, or all at once
+  const [isAnimating, setIsAnimating] = useState(false) // An iteration's picks are being played back
+  const [simulationError, setSimulationError] = useState(null) // Why the worker failed to plan the last iteration
+  const [apiUrl, setApiUrl] = useState(DEFAULT_API_URL) // Scheduling API the grid can take its winners from
+  const [isApiConnected, setIsApiConnected] = useState(false)
+  const [apiBoard, setApiBoard] = useState(null) // { settings, patientState, winners, scores } last answered by the service
+  const [apiError, setApiError] = useState(null)
+  const timeSlots = useMemo(() => generateTimeSlots(slotConfig), [slotConfig])
   const simulationIntervalRef = useRef(null)
   const simulationInProgressRef = useRef(false)
-  
+  const simulationClientRef = useRef(null) // Engine worker that plans iterations
+  const runStartedRef = useRef(false) // The run in progress has taken the current seed as its run seed
+  const planVersionRef = useRef(0) // Bumped to discard iterations still being planned
+  const animationRef = useRef(null) // Playback of the current iteration's picks
+  const gridRef = useRef(null)
+
+  // The board is the replay of the events up to the timeline cursor
+  const appliedEvents = useMemo(() => getAppliedEvents(timeline), [timeline])
+  const selectedSlots = useMemo(() => replayEvents(appliedEvents), [appliedEvents]) // { providerId: { slotId: true } }
+
   // Sort providers by license count (ascending - fewer licenses first)
   const sortedProviders = useMemo(() => {
-    return [...providers].sort((a, b) => a.licenses - b.licenses)
+    return [...providers].sort((a, b) => getLicenseCount(a) - getLicenseCount(b))
   }, [providers])
 
-  // Check if a slot is selected for a provider
-  const isSlotSelected = (providerId, slotId) => {
-    return selectedSlots[providerId]?.[slotId] || false
+  // Clinic days with the number of slots in each, for the grid's day header row
+  const clinicDays = useMemo(() => {
+    const days = []
+    timeSlots.forEach((slot) => {
+      const lastDay = days[days.length - 1]
+      if (lastDay && lastDay.date === slot.date) {
+        lastDay.slotCount++
+      } else {
+        days.push({ date: slot.date, label: slot.dayLabel, slotCount: 1 })
+      }
+    })
+    return days
+  }, [timeSlots])
+  const isMultiDay = clinicDays.length > 1
+
+  // States on the roster; a chosen patient state drops out if nobody is licensed there any more
+  const rosterStates = useMemo(() => getRosterStates(providers), [providers])
+  const activePatientState = rosterStates.includes(patientState) ? patientState : null
+
+  // Everything the scoring engine needs besides the selection state
+  const engineContext = useMemo(() => createEngineContext({
+    providers: sortedProviders,
+    timeSlots,
+    weight1,
+    weight2,
+    strategy: scoringStrategy,
+    strategyParams,
+    tieBreak,
+    tieBreakSeed: seed,
+    compareRawScores,
+    patientState: activePatientState
+  }), [sortedProviders, timeSlots, weight1, weight2, scoringStrategy, strategyParams, tieBreak, seed, compareRawScores, activePatientState])
+  const activeStrategy = getStrategy(scoringStrategy)
+
+  // Provider scores and the winner of every open slot, worked out once per board change
+  // rather than per grid cell
+  const scoreCache = useMemo(() => createScoreCache(selectedSlots, engineContext), [selectedSlots, engineContext])
+  const slotWinners = useMemo(() => {
+    return Object.fromEntries(getHighlightedSlots(selectedSlots, engineContext, scoreCache).map(h => [h.slotId, h.providerId]))
+  }, [selectedSlots, engineContext, scoreCache])
+
+  // Explain panel contents; the cell may have disappeared with a roster or clinic day change
+  const explainedSlot = explainedCell && timeSlots.find(slot => slot.id === explainedCell.slotId)
+  const explanation = useMemo(() => {
+    if (!explainedSlot || !sortedProviders.some(p => p.id === explainedCell.providerId)) return null
+    return explainSlotDecision(explainedSlot.id, selectedSlots, engineContext)
+  }, [explainedCell, explainedSlot, sortedProviders, selectedSlots, engineContext])
+
+  // Cell keyboard focus enters the grid at: the last one focused, or the first slot when
+  // that provider or slot has gone
+  const focusableCell = activeCell &&
+    sortedProviders.some(p => p.id === activeCell.providerId) &&
+    timeSlots.some(slot => slot.id === activeCell.slotId)
+    ? activeCell
+    : { providerId: sortedProviders[0]?.id, slotId: timeSlots[0]?.id }
+
+  // Zone slot times are shown in; a provider's view falls back to UTC once they have no home zone
+  const timeDisplayProvider = timeDisplay.startsWith('provider:') ? providers.find(p => `provider:${p.id}` === timeDisplay) : null
+  const displayTimeZone = timeDisplay.startsWith('provider:') ? timeDisplayProvider?.homeTimeZone ?? DEFAULT_TIME_ZONE : timeDisplay
+  const timeDisplayLabel = timeDisplayProvider?.homeTimeZone
+    ? `${timeDisplayProvider.name}'s local time (${getTimeZoneLabel(displayTimeZone)})`
+    : getTimeZoneLabel(displayTimeZone)
+
+  const slotLabels = useMemo(() => getSlotLabels(timeSlots, displayTimeZone), [timeSlots, displayTimeZone])
+
+  // "Mon, Jan 1 5:40 AM" in the display zone
+  const formatSlot = (slot) => slotLabels[slot.id]?.label ?? slot.id
+
+  // Screen reader text for the last simulated bookings
+  const describeAnnouncement = () => {
+    if (!announcement) return ''
+    if (announcement.picks) {
+      return announcement.picks.map(({ providerId, slotId }) => {
+        const provider = providers.find(p => p.id === providerId)
+        const slot = timeSlots.find(s => s.id === slotId)
+        return `${provider?.name ?? `Provider ${providerId}`} booked for ${slot ? formatSlot(slot) : slotId}`
+      }).join('. ')
+    }
+    return `Simulation finished with ${announcement.finishedBookings} ${announcement.finishedBookings === 1 ? 'booking' : 'bookings'}`
   }
 
   // Check if a slot is newly selected in current iteration
@@ -73,425 +238,169 @@ function App() {
     return pendingSelectionSlots[providerId]?.[slotId] || false
   }
 
-  // Calculate total selected slots for a provider
-  const getTotalSelectedSlots = (providerId) => {
-    return Object.values(selectedSlots[providerId] || {}).filter(Boolean).length
-  }
-
-  // Truncate a number to 2 decimal places (for display)
-  const truncateToTwoDecimals = (num) => {
-    return Math.floor(num * 100) / 100
-  }
-
-  // Format truncated number to 2 decimal places string
-  const formatTruncatedScore = (num) => {
-    const truncated = truncateToTwoDecimals(num)
-    return truncated.toFixed(2)
-  }
-
-  // Calculate availability score: y = weight1*x + weight2*e^(-1.2(b-1))
-  // where x = (slots remaining for a provider) / (total number of slots)
-  // b is the number of licenses, and e is Euler's number
-  const calculateAvailabilityScore = (providerId, licenses) => {
-    if (licenses === 0) return Infinity // Avoid division issues
-    const totalSlots = timeSlots.length
-    const selectedSlotsCount = getTotalSelectedSlots(providerId)
-    const slotsRemaining = totalSlots - selectedSlotsCount
-    const x = slotsRemaining / totalSlots
-    const exponentialTerm = Math.exp(-1.2 * (licenses - 1))
-    return weight1 * x + weight2 * exponentialTerm
-  }
-
   // Toggle slot selection for a provider
   const toggleSlot = (providerId, slotId) => {
-    setSelectedSlots(prev => {
-      const providerSlots = prev[providerId] || {}
-      const isSelected = providerSlots[slotId]
-      
-      return {
-        ...prev,
-        [providerId]: {
-          ...providerSlots,
-          [slotId]: !isSelected
-        }
-      }
-    })
+    const selected = !isSlotSelected(selectedSlots, providerId, slotId)
+    const score = scoreCache.scores[providerId]
+    setTimeline(prev => recordEvent(prev, createSelectionEvent(providerId, slotId, selected, null, score, activePatientState)))
   }
 
-  // Get the provider ID with maximum score for a given slot (column)
-  // Excludes already selected slots
-  // In case of ties, randomly select one using slot ID as seed for stability
-  const getMaxScoreProviderForSlot = (slotId) => {
-    // Filter out providers that already have this slot selected
-    const availableProviders = sortedProviders.filter(provider => 
-      !isSlotSelected(provider.id, slotId)
-    )
-    
-    if (availableProviders.length === 0) {
-      return null // No available providers for this slot
-    }
-    
-    const providerScores = availableProviders.map(provider => {
-      const rawScore = calculateAvailabilityScore(provider.id, provider.licenses)
-      const roundedScore = Math.floor(rawScore * 100) / 100 // Truncate to 2 decimal places
-      return {
-        id: provider.id,
-        score: roundedScore,
-        rawScore: rawScore // Keep raw score for display
-      }
-    })
-    
-    const maxScore = Math.max(...providerScores.map(p => p.score))
-    const maxScoreProviders = providerScores.filter(p => p.score === maxScore) // Compare rounded scores
-    
-    if (maxScoreProviders.length === 1) {
-      return maxScoreProviders[0].id
+  // The engine runs in a worker for the lifetime of the page
+  useEffect(() => {
+    const client = createSimulationClient()
+    simulationClientRef.current = client
+    return () => {
+      animationRef.current?.cancel()
+      client.terminate()
+      simulationClientRef.current = null
     }
-    
-    // Randomly select from tied providers using slot ID as seed for stability
-    // Sort tied providers by ID first for consistency, then use hash for selection
-    const sortedTiedProviders = maxScoreProviders.sort((a, b) => a.id - b.id)
-    const slotHash = slotId.split('-').reduce((acc, val) => acc + parseInt(val || 0), 0)
-    const randomIndex = slotHash % sortedTiedProviders.length
-    return sortedTiedProviders[randomIndex].id
-  }
-
-  // Get all currently highlighted slots (using the same logic as rendering)
-  // This ensures simulation only selects from actually highlighted slots
-  const getHighlightedSlots = useCallback((currentSelectedSlots) => {
-    const highlightedSlots = []
-    timeSlots.forEach((slot) => {
-      // Use the same logic as getMaxScoreProviderForSlot but with state snapshot
-      const availableProviders = sortedProviders.filter(provider => 
-        !currentSelectedSlots[provider.id]?.[slot.id]
-      )
-      
-      if (availableProviders.length === 0) return
-      
-      const providerScores = availableProviders.map(provider => {
-        const totalSlots = timeSlots.length
-        const selectedCount = Object.values(currentSelectedSlots[provider.id] || {}).filter(Boolean).length
-        const slotsRemaining = totalSlots - selectedCount
-        const x = slotsRemaining / totalSlots
-        const exponentialTerm = Math.exp(-1.2 * (provider.licenses - 1))
-        const rawScore = weight1 * x + weight2 * exponentialTerm
-        const roundedScore = Math.floor(rawScore * 100) / 100 // Truncate to 2 decimal places (match getMaxScoreProviderForSlot)
-        return { id: provider.id, score: roundedScore }
-      })
-      
-      const maxScore = Math.max(...providerScores.map(p => p.score))
-      const maxScoreProviders = providerScores.filter(p => p.score === maxScore)
-      
-      let selectedProviderId
-      if (maxScoreProviders.length === 1) {
-        selectedProviderId = maxScoreProviders[0].id
-      } else {
-        const sortedTied = maxScoreProviders.sort((a, b) => a.id - b.id)
-        const slotHash = slot.id.split('-').reduce((acc, val) => acc + parseInt(val || 0), 0)
-        selectedProviderId = sortedTied[slotHash % sortedTied.length].id
-      }
-      
-      highlightedSlots.push({
-        slotId: slot.id,
-        providerId: selectedProviderId,
-        timeIndex: timeSlots.findIndex(s => s.id === slot.id)
-      })
-    })
-    return highlightedSlots.sort((a, b) => a.timeIndex - b.timeIndex)
-  }, [timeSlots, sortedProviders, weight1, weight2])
+  }, [])
 
-  // Helper function to get highlighted slots from current state
-  const getCurrentHighlightedSlots = () => {
-    const highlightedSlots = []
-    timeSlots.forEach((slot) => {
-      const maxScoreProviderId = getMaxScoreProviderForSlot(slot.id)
-      if (maxScoreProviderId !== null) {
-        highlightedSlots.push({
-          slotId: slot.id,
-          providerId: maxScoreProviderId,
-          timeIndex: timeSlots.findIndex(s => s.id === slot.id)
-        })
-      }
-    })
-    return highlightedSlots.sort((a, b) => a.timeIndex - b.timeIndex)
-  }
-
-  // Calculate availability score with state snapshot (for simulation)
-  const calculateAvailabilityScoreWithState = (providerId, licenses, stateSnapshot) => {
-    if (licenses === 0) return Infinity
-    const totalSlots = timeSlots.length
-    const selectedCount = Object.values(stateSnapshot[providerId] || {}).filter(Boolean).length
-    const slotsRemaining = totalSlots - selectedCount
-    const x = slotsRemaining / totalSlots
-    const exponentialTerm = Math.exp(-1.2 * (licenses - 1))
-    return weight1 * x + weight2 * exponentialTerm
-  }
-
-  // Get highlighted provider for a slot with state snapshot (for simulation)
-  const getMaxScoreProviderForSlotWithState = (slotId, stateSnapshot) => {
-    const availableProviders = sortedProviders.filter(provider => 
-      !stateSnapshot[provider.id]?.[slotId]
-    )
-    
-    if (availableProviders.length === 0) {
-      return null
-    }
-    
-    const providerScores = availableProviders.map(provider => {
-      const rawScore = calculateAvailabilityScoreWithState(provider.id, provider.licenses, stateSnapshot)
-      const roundedScore = Math.floor(rawScore * 100) / 100
-      return { id: provider.id, score: roundedScore }
-    })
-    
-    const maxScore = Math.max(...providerScores.map(p => p.score))
-    const maxScoreProviders = providerScores.filter(p => p.score === maxScore)
-    
-    if (maxScoreProviders.length === 1) {
-      return maxScoreProviders[0].id
-    }
-    
-    const sortedTiedProviders = maxScoreProviders.sort((a, b) => a.id - b.id)
-    const slotHash = slotId.split('-').reduce((acc, val) => acc + parseInt(val || 0), 0)
-    const randomIndex = slotHash % sortedTiedProviders.length
-    return sortedTiedProviders[randomIndex].id
+  // Drop the iteration being planned or played back; its remaining picks are never booked
+  const cancelIteration = () => {
+    planVersionRef.current++
+    animationRef.current?.cancel()
+    animationRef.current = null
+    simulationInProgressRef.current = false
+    setIsAnimating(false)
   }
 
-  // Helper to get currently highlighted slots
-  const getCurrentHighlighted = useCallback(() => {
-    const highlighted = []
-    timeSlots.forEach((slot) => {
-      const maxScoreProviderId = getMaxScoreProviderForSlot(slot.id)
-      if (maxScoreProviderId !== null) {
-        highlighted.push({
-          slotId: slot.id,
-          providerId: maxScoreProviderId,
-          timeIndex: timeSlots.findIndex(s => s.id === slot.id)
-        })
-      }
-    })
-    return highlighted.sort((a, b) => a.timeIndex - b.timeIndex)
-  }, [timeSlots, sortedProviders, selectedSlots, weight1, weight2])
-
-  // Helper to select a random slot from a percentage range
-  const selectRandomSlotFromRange = (highlightedSlots, startPercent, endPercent) => {
-    if (highlightedSlots.length === 0) return null
-    
-    const start = Math.ceil(highlightedSlots.length * startPercent)
-    const end = Math.ceil(highlightedSlots.length * endPercent)
-    
-    if (end <= start) return null
-    
-    const rangeSlots = highlightedSlots.slice(start, end)
-    if (rangeSlots.length === 0) return null
-    
-    const randomSlot = rangeSlots[Math.floor(Math.random() * rangeSlots.length)]
-    
-    // Verify it's actually highlighted
-    if (getMaxScoreProviderForSlot(randomSlot.slotId) === randomSlot.providerId) {
-      return randomSlot
+  // Book an iteration's picks: one after another behind red borders, or all at once
+  // when animation is off. Releases were booked before this.
+  const playPicks = useCallback((picks) => {
+    const newlySelected = {}
+    const bookPick = (event) => {
+      setTimeline(prev => recordEvent(prev, event))
+      setAnnouncement({ picks: [event] })
+      if (!newlySelected[event.providerId]) newlySelected[event.providerId] = {}
+      newlySelected[event.providerId][event.slotId] = true
+      setPendingSelectionSlots(prev => {
+        if (!prev[event.providerId]?.[event.slotId]) return prev
+        const updated = { ...prev, [event.providerId]: { ...prev[event.providerId] } }
+        delete updated[event.providerId][event.slotId]
+        if (Object.keys(updated[event.providerId]).length === 0) {
+          delete updated[event.providerId]
+        }
+        return updated
+      })
     }
-    return null
-  }
-
-  // Helper to select a slot from first N percent
-  const selectRandomSlotFromFirstPercent = (highlightedSlots, percent) => {
-    if (highlightedSlots.length === 0) return null
-    
-    const firstNPercent = Math.max(1, Math.ceil(highlightedSlots.length * percent))
-    const firstNSlots = highlightedSlots.slice(0, firstNPercent)
-    if (firstNSlots.length === 0) return null
-    
-    const randomSlot = firstNSlots[Math.floor(Math.random() * firstNSlots.length)]
-    
-    // Verify it's actually highlighted
-    if (getMaxScoreProviderForSlot(randomSlot.slotId) === randomSlot.providerId) {
-      return randomSlot
+    const finishIteration = () => {
+      animationRef.current = null
+      setNewlySelectedSlots(newlySelected)
+      setIsAnimating(false)
+      simulationInProgressRef.current = false
     }
-    return null
-  }
 
-  // Helper to apply a slot selection
-  const applySlotSelection = (slot, newlySelected, onComplete) => {
-    if (!slot) {
-      onComplete()
+    if (!animatePicks) {
+      picks.forEach(bookPick)
+      setAnnouncement({ picks })
+      finishIteration()
       return
     }
 
-    setSelectedSlots(prev => {
-      const newState = { ...prev }
-      if (!newState[slot.providerId]) newState[slot.providerId] = {}
-      newState[slot.providerId] = { ...newState[slot.providerId] }
-      newState[slot.providerId][slot.slotId] = true
-      
-      // Track newly selected
-      if (!newlySelected[slot.providerId]) newlySelected[slot.providerId] = {}
-      newlySelected[slot.providerId][slot.slotId] = true
-      
-      return newState
+    // Set pending selections to show red border immediately
+    const pending = {}
+    picks.forEach(event => {
+      if (!pending[event.providerId]) pending[event.providerId] = {}
+      pending[event.providerId][event.slotId] = true
+    })
+    setPendingSelectionSlots(pending)
+    setIsAnimating(true)
+    const delayScale = simulationSpeed / (3000 - DEFAULT_SPEED)
+    animationRef.current = playSteps(picks, {
+      startDelay: PICK_START_DELAY_MS * delayScale,
+      stepDelay: PICK_STEP_DELAY_MS * delayScale,
+      onStep: bookPick,
+      onDone: finishIteration
     })
+  }, [animatePicks, simulationSpeed])
+
+  // Pause and report a failure from the worker, unless the request had been discarded
+  const handlePlanningError = (version) => (error) => {
+    if (version !== planVersionRef.current) return
+    simulationInProgressRef.current = false
+    setIsPaused(true)
+    setSimulationError(error.message)
+  }
 
-    // Wait for state update, then continue
-    setTimeout(() => {
-      onComplete()
-    }, 200)
+  // Book the rest of the iteration being played back straight away
+  const handleSkipAnimation = () => {
+    animationRef.current?.skip()
   }
 
-  // Run one simulation iteration
-  const runSimulationIteration = useCallback(() => {
+  // Run one simulation iteration: the worker plans it from the board shown, then the
+  // cancellations are booked at once and the picks played back.
+  // toEnd (instant mode) instead books every remaining iteration at once and stops.
+  const runSimulationIteration = useCallback((toEnd = false) => {
     // Prevent overlapping iterations
-    if (simulationInProgressRef.current) {
+    if (simulationInProgressRef.current || !simulationClientRef.current) {
       return
     }
-    
+
     simulationInProgressRef.current = true
+    setSimulationError(null)
     setNewlySelectedSlots({})
     setPendingSelectionSlots({}) // Clear previous pending selections
-    
-    const newlySelected = {}
-    let highlightedSlots = getCurrentHighlighted()
-    
-    if (highlightedSlots.length === 0) {
-      simulationInProgressRef.current = false
-      return
-    }
 
-    // Calculate all 3 slots that will be selected in this iteration
-    // First selection: from first 20%
-    const slot1 = selectRandomSlotFromFirstPercent(highlightedSlots, 0.2)
-    if (!slot1) {
-      simulationInProgressRef.current = false
-      return
+    // The first iteration of a run fixes its seed; later ones keep it even if the seed field changes
+    const runStarted = runStartedRef.current
+    if (!runStarted) {
+      runStartedRef.current = true
+      setRunSeed(seed)
     }
 
-    // Simulate first selection to get updated highlighted slots
-    let workingState = JSON.parse(JSON.stringify(selectedSlots))
-    if (!workingState[slot1.providerId]) workingState[slot1.providerId] = {}
-    workingState[slot1.providerId][slot1.slotId] = true
-    
-    // Get highlighted slots after first selection
-    const highlightedAfter1 = getHighlightedSlots(workingState)
-    
-    // Second selection: from 20-50% range
-    const slot2 = highlightedAfter1.length > 0 
-      ? selectRandomSlotFromRange(highlightedAfter1, 0.2, 0.5)
-      : null
-    
-    if (slot2) {
-      // Simulate second selection
-      if (!workingState[slot2.providerId]) workingState[slot2.providerId] = {}
-      workingState[slot2.providerId][slot2.slotId] = true
+    // Numbering continues from the board shown, so resuming after stepping back overwrites the undone iterations
+    const lastIteration = getLastIteration(timeline)
+    const version = planVersionRef.current
+    const request = {
+      context: engineContext,
+      selection: selectedSlots,
+      demand,
+      recentBookings: getIterationBookings(timeline, lastIteration),
+      iteration: lastIteration + 1,
+      seed: runStarted ? runSeed : seed
     }
-    
-    // Get highlighted slots after second selection
-    const highlightedAfter2 = slot2 ? getHighlightedSlots(workingState) : []
-    
-    // Third selection: from 50-70% range
-    const slot3 = highlightedAfter2.length > 0
-      ? selectRandomSlotFromRange(highlightedAfter2, 0.5, 0.7)
-      : null
 
-    // Set pending selections to show red border immediately
-    const pending = {}
-    if (slot1) {
-      if (!pending[slot1.providerId]) pending[slot1.providerId] = {}
-      pending[slot1.providerId][slot1.slotId] = true
-    }
-    if (slot2) {
-      if (!pending[slot2.providerId]) pending[slot2.providerId] = {}
-      pending[slot2.providerId][slot2.slotId] = true
-    }
-    if (slot3) {
-      if (!pending[slot3.providerId]) pending[slot3.providerId] = {}
-      pending[slot3.providerId][slot3.slotId] = true
+    if (toEnd) {
+      simulationClientRef.current.finishSimulation(request).then(({ events }) => {
+        if (version !== planVersionRef.current) return // The board was reset or rewound meanwhile
+        setTimeline(prev => recordEvents(prev, events))
+        setAnnouncement({ finishedBookings: events.filter(event => event.selected).length })
+        simulationInProgressRef.current = false
+        setIsPlaying(false)
+        setIsPaused(false)
+      }).catch(handlePlanningError(version))
+      return
     }
-    setPendingSelectionSlots(pending)
 
-    // Wait a bit before starting actual selection (delay between identification and selection)
-    setTimeout(() => {
-      // Now select them sequentially with delays
-      if (slot1) {
-        applySlotSelection(slot1, newlySelected, () => {
-        // Remove from pending when actually selected
-        setPendingSelectionSlots(prev => {
-          const updated = { ...prev }
-          if (updated[slot1.providerId]) {
-            updated[slot1.providerId] = { ...updated[slot1.providerId] }
-            delete updated[slot1.providerId][slot1.slotId]
-            if (Object.keys(updated[slot1.providerId]).length === 0) {
-              delete updated[slot1.providerId]
-            }
-          }
-          return updated
-        })
-        
-        highlightedSlots = getCurrentHighlighted()
-        
-        if (slot2) {
-          applySlotSelection(slot2, newlySelected, () => {
-            // Remove from pending when actually selected
-            setPendingSelectionSlots(prev => {
-              const updated = { ...prev }
-              if (updated[slot2.providerId]) {
-                updated[slot2.providerId] = { ...updated[slot2.providerId] }
-                delete updated[slot2.providerId][slot2.slotId]
-                if (Object.keys(updated[slot2.providerId]).length === 0) {
-                  delete updated[slot2.providerId]
-                }
-              }
-              return updated
-            })
-            
-            highlightedSlots = getCurrentHighlighted()
-            
-            if (slot3) {
-              applySlotSelection(slot3, newlySelected, () => {
-                // Remove from pending when actually selected
-                setPendingSelectionSlots(prev => {
-                  const updated = { ...prev }
-                  if (updated[slot3.providerId]) {
-                    updated[slot3.providerId] = { ...updated[slot3.providerId] }
-                    delete updated[slot3.providerId][slot3.slotId]
-                    if (Object.keys(updated[slot3.providerId]).length === 0) {
-                      delete updated[slot3.providerId]
-                    }
-                  }
-                  return updated
-                })
-                
-                setNewlySelectedSlots(newlySelected)
-                simulationInProgressRef.current = false
-              })
-            } else {
-              setNewlySelectedSlots(newlySelected)
-              simulationInProgressRef.current = false
-            }
-          })
-        } else {
-          setNewlySelectedSlots(newlySelected)
-          simulationInProgressRef.current = false
-        }
-      })
+    simulationClientRef.current.planIteration(request).then(({ releases, picks }) => {
+      if (version !== planVersionRef.current) return // The board was reset or rewound meanwhile
+      if (picks.length === 0 && releases.length === 0) {
+        simulationInProgressRef.current = false
+        return
       }
-    }, 750) // 750ms delay between showing red border and starting selection
-  }, [getCurrentHighlighted, getMaxScoreProviderForSlot, selectedSlots, getHighlightedSlots])
+      // Cancellations free their slots straight away; the picks were planned after them
+      releases.forEach(event => setTimeline(prev => recordEvent(prev, event)))
+      playPicks(picks)
+    }).catch(handlePlanningError(version))
+  }, [selectedSlots, timeline, engineContext, seed, runSeed, demand, playPicks])
 
   // Check if simulation should stop (all slots selected)
   useEffect(() => {
     if (isPlaying && !isPaused) {
-      const highlightedSlots = getHighlightedSlots(selectedSlots)
-      if (highlightedSlots.length === 0) {
+      if (Object.keys(slotWinners).length === 0) {
         setIsPlaying(false)
         setIsPaused(false)
       }
     }
-  }, [selectedSlots, isPlaying, isPaused, getHighlightedSlots])
+  }, [slotWinners, isPlaying, isPaused])
 
   // Simulation loop
   useEffect(() => {
     if (isPlaying && !isPaused) {
       simulationIntervalRef.current = setInterval(() => {
-        runSimulationIteration()
-      }, simulationSpeed) // Use dynamic simulation speed
+        runSimulationIteration(isInstant)
+      }, isInstant ? INSTANT_TICK_MS : simulationSpeed) // Use dynamic simulation speed
     } else {
       if (simulationIntervalRef.current) {
         clearInterval(simulationIntervalRef.current)
@@ -504,7 +413,7 @@ function App() {
         clearInterval(simulationIntervalRef.current)
       }
     }
-  }, [isPlaying, isPaused, runSimulationIteration, simulationSpeed])
+  }, [isPlaying, isPaused, runSimulationIteration, simulationSpeed, isInstant])
 
   // Handler functions for buttons
   const handlePlay = () => {
@@ -516,12 +425,50 @@ function App() {
     setIsPaused(true)
   }
 
+  // Leaving the grid for the comparison or the sweep pauses the run; the same button comes back
+  const handleShowPanel = (name) => {
+    handlePause()
+    setPanel(prev => (prev === name ? 'grid' : name))
+  }
+
+  // Run exactly one iteration while paused (or before starting)
+  const handleStep = () => {
+    runSimulationIteration(false)
+  }
+
+  const handleSpeedChange = (speed) => {
+    setSimulationSpeedSlider(speed)
+    setIsInstant(false)
+  }
+
+  // Switching to instant mid-iteration books the rest of that iteration first
+  const handleInstantChange = (instant) => {
+    setIsInstant(instant)
+    if (instant) animationRef.current?.skip()
+  }
+
+  // Clear every booking and start the next run from the top
+  const resetBoard = () => {
+    cancelIteration()
+    setTimeline(EMPTY_TIMELINE) // Clear all selections and their history
+    setNewlySelectedSlots({}) // Clear highlighting
+    setPendingSelectionSlots({}) // Clear pending selections
+    runStartedRef.current = false
+  }
+
   const handleEnd = () => {
     setIsPlaying(false)
     setIsPaused(false)
-    setSelectedSlots({}) // Clear all selections
-    setNewlySelectedSlots({}) // Clear highlighting
-    setPendingSelectionSlots({}) // Clear pending selections
+    resetBoard()
+    // Next run gets a fresh seed; the finished run's seed stays on screen
+    setSeed(generateSeed())
+  }
+
+  // A new seed only applies to the next run, so it can't be changed mid-run
+  const handleSeedChange = (value) => {
+    const newSeed = parseInt(value)
+    if (Number.isNaN(newSeed)) return
+    setSeed(Math.max(0, Math.min(MAX_SEED, newSeed)))
   }
 
   // Handle weight changes - ensure sum is always 1
@@ -530,9 +477,8 @@ function App() {
     const newWeight2 = 1 - clampedWeight1
     setWeight1(clampedWeight1)
     setWeight2(newWeight2)
-    // Reset slots when weights change
-    setSelectedSlots({})
-    setNewlySelectedSlots({})
+    // Reset slots when weights change; the run restarts from the same seed
+    resetBoard()
   }
 
   const handleWeight2Change = (newWeight2) => {
@@ -540,9 +486,261 @@ function App() {
     const newWeight1 = 1 - clampedWeight2
     setWeight1(newWeight1)
     setWeight2(clampedWeight2)
-    // Reset slots when weights change
-    setSelectedSlots({})
-    setNewlySelectedSlots({})
+    // Reset slots when weights change; the run restarts from the same seed
+    resetBoard()
+  }
+
+  // Weights (and decay) picked from the sweep; the board resets as for the sliders
+  const handleApplySweepCell = ({ weight1: newWeight1, decay }) => {
+    setWeight1(newWeight1)
+    setWeight2(1 - newWeight1)
+    if (decay !== null) setStrategyParams(prev => ({ ...prev, decay }))
+    resetBoard()
+    setPanel('grid')
+  }
+
+  // Switching formula or tuning its parameters resets the board, like the weights
+  const handleStrategyChange = (strategyId) => {
+    setScoringStrategy(strategyId)
+    setStrategyParams(getDefaultStrategyParams(strategyId))
+    resetBoard()
+  }
+
+  const handleStrategyParamChange = (key, value) => {
+    setStrategyParams(prev => ({ ...prev, [key]: value }))
+    resetBoard()
+  }
+
+  // Tie-break settings change who wins, so they reset the board like the weights
+  const handleTieBreakChange = (policyId) => {
+    setTieBreak(policyId)
+    resetBoard()
+  }
+
+  const handleCompareRawScoresChange = (checked) => {
+    setCompareRawScores(checked)
+    resetBoard()
+  }
+
+  // Changing the clinic day changes the slot IDs, so existing bookings and one-off
+  // blocked slots outside the new day no longer apply
+  const handleSlotConfigChange = (newConfig) => {
+    const newSlots = generateTimeSlots(newConfig)
+    setSlotConfig(newConfig)
+    setProviders(prev => prev.map(p => (
+      p.availability?.blockedSlots ? { ...p, availability: keepBlockedSlotsIn(p.availability, newSlots) } : p
+    )))
+    resetBoard()
+  }
+
+  // Roster editing - the grid, ordering and scores recompute from the new roster
+  const handleAddProvider = ({ name, states }) => {
+    setProviders(prev => {
+      const nextId = prev.reduce((max, p) => Math.max(max, p.id), 0) + 1
+      return [...prev, withStates({ id: nextId, name }, states)]
+    })
+  }
+
+  const handleUpdateProvider = (providerId, changes) => {
+    setProviders(prev => prev.map(p => (p.id === providerId ? { ...p, ...changes } : p)))
+  }
+
+  // A new license list also updates the states-licensed count
+  const handleUpdateProviderStates = (providerId, states) => {
+    setProviders(prev => prev.map(p => (p.id === providerId ? withStates(p, states) : p)))
+  }
+
+  // Block or unblock a single slot for a provider (availability edit mode)
+  const handleToggleBlockedSlot = (providerId, slotId) => {
+    setProviders(prev => prev.map(p => (
+      p.id === providerId ? { ...p, availability: toggleBlockedSlot(p.availability, slotId) } : p
+    )))
+  }
+
+  // Move keyboard focus to the slot cell at a row (provider) and column (slot) of the grid
+  const focusGridCell = (rowIndex, colIndex) => {
+    const row = Math.max(0, Math.min(sortedProviders.length - 1, rowIndex))
+    const col = Math.max(0, Math.min(timeSlots.length - 1, colIndex))
+    setActiveCell({ providerId: sortedProviders[row].id, slotId: timeSlots[col].id })
+    gridRef.current?.querySelector(`[data-row="${row}"][data-col="${col}"]`)?.focus()
+  }
+
+  // Arrow keys move between slot cells and Home/End jump along the row; Space does what
+  // clicking the cell would (book, free, block or unblock) and Enter explains the slot.
+  // Space and Enter are left to a control inside the cell when it has the focus itself.
+  const handleGridCellKeyDown = (e, rowIndex, colIndex, onToggle) => {
+    const move = GRID_MOVES[e.key] ?? (e.key === 'Home' ? [0, -colIndex] : e.key === 'End' ? [0, timeSlots.length] : null)
+    if (move) {
+      e.preventDefault()
+      focusGridCell(rowIndex + move[0], colIndex + move[1])
+      return
+    }
+    if (e.target !== e.currentTarget) return
+    if (e.key === ' ') {
+      e.preventDefault()
+      onToggle?.()
+    } else if (e.key === 'Enter' && !isEditingAvailability) {
+      e.preventDefault()
+      setExplainedCell({ providerId: sortedProviders[rowIndex].id, slotId: timeSlots[colIndex].id })
+    }
+  }
+
+  // Close the explain panel and put the focus back on the cell it was opened from
+  const closeExplainPanel = () => {
+    const rowIndex = sortedProviders.findIndex(p => p.id === explainedCell.providerId)
+    const colIndex = timeSlots.findIndex(slot => slot.id === explainedCell.slotId)
+    setExplainedCell(null)
+    if (rowIndex !== -1 && colIndex !== -1) focusGridCell(rowIndex, colIndex)
+  }
+
+  // Drop a departing provider's bookings along with them
+  const handleRemoveProvider = (providerId) => {
+    const withoutProvider = (prev) => {
+      const updated = { ...prev }
+      delete updated[providerId]
+      return updated
+    }
+    setProviders(prev => prev.filter(p => p.id !== providerId))
+    setTimeline(prev => removeProviderEvents(prev, providerId))
+    setNewlySelectedSlots(withoutProvider)
+    setPendingSelectionSlots(withoutProvider)
+  }
+
+  // Move the timeline cursor (scrubber, step buttons, undo/redo). A running simulation is
+  // paused first so it doesn't record over the replay; the event just replayed is highlighted.
+  const handleSeekTimeline = (position) => {
+    if (isPlaying) setIsPaused(true)
+    cancelIteration()
+    const target = seekTimeline(timeline, position)
+    const event = target.events[target.position - 1]
+    setTimeline(target)
+    setPendingSelectionSlots({})
+    setNewlySelectedSlots(event ? { [event.providerId]: { [event.slotId]: true } } : {})
+  }
+
+  // Roster, clinic day, scoring, seed, speed, demand and bookings as a scenario object,
+  // stamped with the time the state last changed
+  const currentScenario = useMemo(() => {
+    return createScenario({
+      providers,
+      slotConfig,
+      strategy: scoringStrategy,
+      strategyParams: engineContext.strategyParams,
+      weight1,
+      weight2,
+      tieBreak,
+      compareRawScores,
+      seed,
+      runSeed,
+      speed: simulationSpeedSlider,
+      instant: isInstant,
+      demand,
+      selectedSlots,
+      events: appliedEvents
+    })
+  }, [providers, slotConfig, scoringStrategy, engineContext.strategyParams, weight1, weight2, tieBreak, compareRawScores, seed, runSeed, simulationSpeedSlider, isInstant, demand, selectedSlots, appliedEvents])
+
+  // Auto-save the session shortly after each change. Held back while the restore
+  // prompt or the reason it can't be restored is shown, so the previous session isn't
+  // overwritten before the user has seen it.
+  useEffect(() => {
+    if (lastSession) return
+    const timer = setTimeout(() => saveSession(currentScenario), AUTO_SAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [currentScenario, lastSession])
+
+  // What the grid shares with the scheduling API: the roster, clinic day and scoring settings.
+  // Bookings belong to the service, so ones the backend committed are never overwritten.
+  const apiSettings = useMemo(() => ({
+    providers,
+    slotConfig,
+    scoring: { weight1, weight2, strategy: scoringStrategy, strategyParams: engineContext.strategyParams, tieBreak, compareRawScores }
+  }), [providers, slotConfig, weight1, weight2, scoringStrategy, engineContext.strategyParams, tieBreak, compareRawScores])
+
+  // While connected to the scheduling API, send it each new roster and scoring setup
+  // and take the slot winners and scores it answers with
+  useEffect(() => {
+    if (!isApiConnected) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      pushRoster(apiUrl, apiSettings.providers, apiSettings.slotConfig)
+        .then(() => pushScoring(apiUrl, apiSettings.scoring))
+        .then(() => fetchBoard(apiUrl, activePatientState))
+        .then((board) => {
+          if (cancelled) return
+          setApiBoard({ settings: apiSettings, patientState: activePatientState, ...board })
+          setApiError(null)
+        })
+        .catch((error) => {
+          if (!cancelled) setApiError(error.message)
+        })
+    }, API_SYNC_DELAY_MS)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isApiConnected, apiUrl, apiSettings, activePatientState])
+
+  // The service's answers apply only to the settings they were computed for; until they
+  // arrive (and when not connected) the in-browser engine's are shown. They reflect the
+  // service's bookings, which differ from the grid's until they are loaded from it.
+  const isApiBoardCurrent = isApiConnected && apiBoard?.settings === apiSettings && apiBoard.patientState === activePatientState
+  const boardWinners = isApiBoardCurrent ? apiBoard.winners : slotWinners
+  const boardScores = isApiBoardCurrent ? apiBoard.scores : scoreCache.scores
+  const driftedSlots = isApiBoardCurrent
+    ? timeSlots.filter(slot => (apiBoard.winners[slot.id] ?? null) !== (slotWinners[slot.id] ?? null)).length
+    : 0
+
+  // While connected the grid is read-only: bookings are made through the service
+  // (POST /bookings), so the grid and the simulation can't leave its winners stale.
+  // Connecting stops a run in progress, dropping any picks not yet booked.
+  const handleApiConnectedChange = (connected) => {
+    if (connected) {
+      handlePause()
+      cancelIteration()
+    }
+    setIsApiConnected(connected)
+  }
+
+  // Save the scenario as a file
+  const handleExportScenario = () => {
+    const filename = `scenario-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`
+    downloadFile(filename, JSON.stringify(currentScenario, null, 2), 'application/json')
+  }
+
+  // Replace the whole board with a validated scenario; the simulation stops
+  const handleImportScenario = (scenario) => {
+    setIsPlaying(false)
+    setIsPaused(false)
+    resetBoard()
+    const state = getScenarioState(scenario)
+    setProviders(state.providers)
+    setSlotConfig(state.slotConfig)
+    setScoringStrategy(state.scoringStrategy)
+    setStrategyParams(state.strategyParams)
+    setWeight1(state.weight1)
+    setWeight2(state.weight2)
+    setTieBreak(state.tieBreak)
+    setCompareRawScores(state.compareRawScores)
+    setSeed(state.seed)
+    setRunSeed(state.runSeed)
+    setSimulationSpeedSlider(state.speed)
+    setIsInstant(state.instant)
+    setDemand(state.demand)
+    setPatientState(null)
+    setTimeline(state.timeline)
+  }
+
+  const handleRestoreSession = () => {
+    handleImportScenario(lastSession.scenario)
+    setLastSession(null)
+  }
+
+  // Put the current scenario in the address bar and return the full link to share
+  const handleCreateShareLink = async (includeSelection) => {
+    const hash = await encodeShareHash(currentScenario, { includeSelection })
+    window.history.replaceState(null, '', hash)
+    return window.location.href
   }
 
   return (
@@ -550,52 +748,147 @@ function App() {
       <header className="app-header">
         <h1>Healthcare Provider Slot Prioritization Simulator</h1>
         <p className="equation-info">
-          Availability Score Formula: <strong>y = {weight1.toFixed(1)}x + {weight2.toFixed(1)}e^(-1.2(b-1))</strong><br />
-          Where: y = availability score, x = (slots remaining)/(total slots), b = number of licenses
+          Availability Score Formula: <strong>{activeStrategy.formula({ weight1, weight2, ...engineContext.strategyParams })}</strong><br />
+          Where: {activeStrategy.legend}
         </p>
         <div className="weight-controls">
           <label className="weight-control">
-            Weight 1 (x term): 
+            Scoring: 
+            <select
+              className="strategy-select"
+              value={scoringStrategy}
+              onChange={(e) => handleStrategyChange(e.target.value)}
+            >
+              {Object.entries(scoringStrategies).map(([id, strategy]) => (
+                <option key={id} value={id}>{strategy.label}</option>
+              ))}
+            </select>
+          </label>
+          {activeStrategy.usesWeights && (
+            <label className="weight-control">
+              Weight 1 ({activeStrategy.weightLabels[0]}): 
+              <input
+                type="range"
+                min="0.1"
+                max="0.9"
+                step="0.05"
+                value={weight1}
+                onChange={(e) => handleWeight1Change(parseFloat(e.target.value))}
+              />
+              <span>{weight1.toFixed(2)}</span>
+            </label>
+          )}
+          {activeStrategy.usesWeights && (
+            <label className="weight-control">
+              Weight 2 ({activeStrategy.weightLabels[1]}): 
+              <input
+                type="range"
+                min="0.1"
+                max="0.9"
+                step="0.05"
+                value={weight2}
+                onChange={(e) => handleWeight2Change(parseFloat(e.target.value))}
+              />
+              <span>{weight2.toFixed(2)}</span>
+            </label>
+          )}
+          {activeStrategy.params.map((param) => (
+            <label key={param.key} className="weight-control">
+              {param.label}: 
+              <input
+                type="range"
+                min={param.min}
+                max={param.max}
+                step={param.step}
+                value={engineContext.strategyParams[param.key]}
+                onChange={(e) => handleStrategyParamChange(param.key, parseFloat(e.target.value))}
+              />
+              <span>{engineContext.strategyParams[param.key]}</span>
+            </label>
+          ))}
+          <label className="weight-control">
+            Ties: 
+            <select
+              className="strategy-select"
+              value={tieBreak}
+              onChange={(e) => handleTieBreakChange(e.target.value)}
+            >
+              {Object.entries(tieBreakPolicies).map(([id, policy]) => (
+                <option key={id} value={id}>{policy.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="weight-control">
             <input
-              type="range"
-              min="0.1"
-              max="0.9"
-              step="0.1"
-              value={weight1}
-              onChange={(e) => handleWeight1Change(parseFloat(e.target.value))}
+              type="checkbox"
+              checked={compareRawScores}
+              onChange={(e) => handleCompareRawScoresChange(e.target.checked)}
             />
-            <span>{weight1.toFixed(1)}</span>
+            Compare raw scores
           </label>
-          <label className="weight-control">
-            Weight 2 (e term): 
+          <label className="weight-control" title="Only providers licensed in this state can take the slots shown and booked">
+            Patient state: 
+            <select
+              className="strategy-select"
+              value={activePatientState ?? ''}
+              onChange={(e) => setPatientState(e.target.value || null)}
+            >
+              <option value="">Any</option>
+              {rosterStates.map((state) => (
+                <option key={state} value={state}>{state}</option>
+              ))}
+            </select>
+          </label>
+          <SpeedControls
+            speed={simulationSpeedSlider}
+            instant={isInstant}
+            onSpeedChange={handleSpeedChange}
+            onInstantChange={handleInstantChange}
+          />
+          <label className="weight-control" title="Show each iteration's picks with red borders and book them one by one; off books them all at once">
             <input
-              type="range"
-              min="0.1"
-              max="0.9"
-              step="0.1"
-              value={weight2}
-              onChange={(e) => handleWeight2Change(parseFloat(e.target.value))}
+              type="checkbox"
+              checked={animatePicks}
+              onChange={(e) => setAnimatePicks(e.target.checked)}
             />
-            <span>{weight2.toFixed(1)}</span>
+            Animate picks
           </label>
           <label className="weight-control">
-            Simulation Speed: 
+            Seed: 
             <input
-              type="range"
-              min="200"
-              max="2800"
-              step="100"
-              value={simulationSpeedSlider}
-              onChange={(e) => setSimulationSpeedSlider(parseInt(e.target.value))}
-              disabled={isPlaying && !isPaused}
+              type="number"
+              className="seed-input"
+              min="0"
+              max={MAX_SEED}
+              value={seed}
+              onChange={(e) => handleSeedChange(e.target.value)}
+              disabled={isPlaying}
             />
+            <button
+              type="button"
+              className="seed-button"
+              onClick={() => setSeed(generateSeed())}
+              disabled={isPlaying}
+              title="Pick a new random seed"
+            >
+              🎲
+            </button>
           </label>
         </div>
+        <ClinicDayControls
+          config={slotConfig}
+          onChange={handleSlotConfigChange}
+          timeDisplay={timeDisplay}
+          providers={sortedProviders}
+          onTimeDisplayChange={setTimeDisplay}
+        />
+        <DemandControls demand={demand} onChange={setDemand} />
         <div className="simulation-controls">
           <button 
             onClick={handlePlay} 
-            disabled={isPlaying && !isPaused}
+            disabled={(isPlaying && !isPaused) || isApiConnected}
             className="sim-button play-button"
+            title={isApiConnected ? 'Disconnect from the scheduling API to simulate: bookings go through the service while connected' : undefined}
           >
             ▶ Play
           </button>
@@ -606,77 +899,327 @@ function App() {
           >
             ⏸ Pause
           </button>
+          <button
+            onClick={handleStep}
+            disabled={(isPlaying && !isPaused) || isApiConnected}
+            className="sim-button step-button"
+            title="Run exactly one iteration"
+          >
+            ⏭ Step
+          </button>
           <button 
             onClick={handleEnd}
             className="sim-button end-button"
           >
             ⏹ End
         </button>
+          <button
+            onClick={handleSkipAnimation}
+            disabled={!isAnimating}
+            className="sim-button skip-button"
+            title="Book the rest of this iteration's picks now"
+          >
+            ⏩ Skip animation
+          </button>
+          <button
+            onClick={() => handleShowPanel('compare')}
+            className="sim-button compare-button"
+          >
+            {panel === 'compare' ? '▦ Back to grid' : '⇆ Compare weights'}
+          </button>
+          <button
+            onClick={() => handleShowPanel('sweep')}
+            className="sim-button sweep-button"
+          >
+            {panel === 'sweep' ? '▦ Back to grid' : '▤ Sweep weights'}
+          </button>
         </div>
+        {lastSession?.scenario && (
+          <div className="session-restore" role="alert">
+            Restore your last session (saved {new Date(lastSession.scenario.exportedAt).toLocaleString()})?
+            <button type="button" className="scenario-button" onClick={handleRestoreSession}>
+              Restore
+            </button>
+            <button type="button" className="scenario-button" onClick={() => setLastSession(null)}>
+              Start fresh
+            </button>
+          </div>
+        )}
+        {lastSession?.errors && (
+          <div className="scenario-errors" role="alert">
+            <strong>Your last session could not be restored (it is replaced once you dismiss this):</strong>
+            <ul>
+              {lastSession.errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+            <button type="button" className="scenario-errors-dismiss" onClick={() => setLastSession(null)}>
+              Dismiss
+            </button>
+          </div>
+        )}
+        <ScenarioControls onExport={handleExportScenario} onImport={handleImportScenario} />
+        <SavedScenariosMenu currentScenario={currentScenario} onLoad={handleImportScenario} />
+        <SchedulingApiControls
+          url={apiUrl}
+          connected={isApiConnected}
+          syncing={!isApiBoardCurrent}
+          error={apiError}
+          driftedSlots={driftedSlots}
+          onUrlChange={setApiUrl}
+          onConnectedChange={handleApiConnectedChange}
+          onImport={handleImportScenario}
+        />
+        <ShareLinkControls onCreateLink={handleCreateShareLink} initialErrors={sharedLink?.errors || []} />
+        {simulationError && (
+          <p className="simulation-error" role="alert">
+            The simulation paused because an iteration could not be planned: {simulationError}
+          </p>
+        )}
+        {runSeed !== null && (
+          <p className="run-seed-info">
+            Run seed: <strong>{runSeed}</strong> (enter it as the seed and press Play to replay this run)
+          </p>
+        )}
       </header>
 
-      <div className="table-container">
-        <table className="prioritization-table">
-          <thead>
-            <tr>
-              <th className="provider-col">Provider</th>
-              <th className="licenses-col">States licensed</th>
-              {timeSlots.map((slot) => (
-                <th key={slot.id} className="time-slot-header">
-                  {slot.displayTime}
-                </th>
-              ))}
-              <th className="total-col">Total Selected</th>
-            </tr>
-          </thead>
-          <tbody>
-            {sortedProviders.map((provider) => {
-              // Calculate availability score for this provider (same across all slots)
-              const score = calculateAvailabilityScore(provider.id, provider.licenses)
-              
-              return (
-                <tr key={provider.id}>
-                  <td className="provider-name-cell">
-                    <strong>{provider.name}</strong>
-                  </td>
-                  <td className="licenses-cell">
-                    <span className="licenses-badge">{provider.licenses}</span>
-                  </td>
-                  {timeSlots.map((slot) => {
-                    const isSelected = isSlotSelected(provider.id, slot.id)
-                    const isNewlySelectedSlot = isNewlySelected(provider.id, slot.id)
-                    const isPendingSelectionSlot = isPendingSelection(provider.id, slot.id)
-                    const maxScoreProviderId = getMaxScoreProviderForSlot(slot.id)
-                    const isMaxScore = !isSelected && maxScoreProviderId === provider.id
-                    const isEnabled = isMaxScore || isSelected // Enable only if max score or already selected
-                    
-                    return (
-                      <td key={slot.id} className="slot-cell">
-                        <label
-                          className={`slot-checkbox-label ${isSelected ? 'selected' : ''} ${isMaxScore ? 'max-score' : ''} ${!isEnabled ? 'disabled' : ''} ${isNewlySelectedSlot ? 'newly-selected' : ''} ${isPendingSelectionSlot ? 'pending-selection' : ''}`}
-                          title={`Score: ${formatTruncatedScore(score)}${isMaxScore ? ' (Max - Next Available)' : !isEnabled ? ' (Not Available)' : ''}`}
-                        >
-                          <input
-                            type="checkbox"
-                            checked={isSelected}
-                            onChange={() => toggleSlot(provider.id, slot.id)}
-                            disabled={!isEnabled}
-                          />
-                          <span className="score-indicator">{formatTruncatedScore(score)}</span>
-                        </label>
-                      </td>
-                    )
-                  })}
-                  <td className="total-cell">
-                    <strong>{getTotalSelectedSlots(provider.id)}</strong>
-                  </td>
+      <p className="visually-hidden" role="status" aria-live="polite">{describeAnnouncement()}</p>
+
+      {panel === 'sweep' ? (
+        <SweepPanel
+          providers={sortedProviders}
+          timeSlots={timeSlots}
+          strategy={scoringStrategy}
+          strategyParams={engineContext.strategyParams}
+          tieBreak={tieBreak}
+          compareRawScores={compareRawScores}
+          demand={demand}
+          seed={seed}
+          onApply={handleApplySweepCell}
+        />
+      ) : panel === 'compare' ? (
+        <ComparisonPanel
+          providers={sortedProviders}
+          timeSlots={timeSlots}
+          strategy={scoringStrategy}
+          strategyParams={strategyParams}
+          tieBreak={tieBreak}
+          compareRawScores={compareRawScores}
+          demand={demand}
+          seed={seed}
+          initialWeight1={weight1}
+        />
+      ) : (
+        <div className="table-container">
+          <p className="grid-keyboard-hint" id="grid-keyboard-hint">
+            Keyboard: arrow keys move between slots, Space books or frees the slot, Enter explains who gets it (Escape closes the explanation and returns to the slot).
+          </p>
+          <table
+            ref={gridRef}
+            className={`prioritization-table ${isMultiDay ? 'multi-day' : ''}`}
+            role="grid"
+            aria-label="Provider slots"
+            aria-describedby="grid-keyboard-hint"
+          >
+            <thead>
+              {isMultiDay && (
+                <tr>
+                  <th className="provider-col" rowSpan={2}>Provider</th>
+                  <th className="licenses-col" rowSpan={2}>States licensed</th>
+                  {clinicDays.map((day) => (
+                    <th key={day.date} className="day-header" colSpan={day.slotCount}>
+                      {day.label}
+                    </th>
+                  ))}
+                  <th className="total-col" rowSpan={2}>Total Selected</th>
                 </tr>
-              )
-            })}
-          </tbody>
-        </table>
-        <p className="utc-footnote">* slot times are in UTC</p>
-      </div>
+              )}
+              <tr>
+                {!isMultiDay && <th className="provider-col">Provider</th>}
+                {!isMultiDay && <th className="licenses-col">States licensed</th>}
+                {timeSlots.map((slot) => (
+                  <th key={slot.id} className="time-slot-header">
+                    {slotLabels[slot.id].time}
+                    {slotLabels[slot.id].dayShift !== 0 && (
+                      <sup className="day-shift" title={`${slotLabels[slot.id].dayLabel} in ${timeDisplayLabel}`}>
+                        {slotLabels[slot.id].dayShift > 0 ? '+1' : '-1'}
+                      </sup>
+                    )}
+                  </th>
+                ))}
+                {!isMultiDay && <th className="total-col">Total Selected</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedProviders.map((provider, rowIndex) => {
+                // Availability score for this provider (same across all slots)
+                const score = boardScores[provider.id]
+                
+                return (
+                  <tr key={provider.id}>
+                    <td className="provider-name-cell" role="rowheader">
+                      <strong>{provider.name}</strong>
+                    </td>
+                    <td className="licenses-cell">
+                      <span className="licenses-badge" title={provider.states?.join(', ')}>{getLicenseCount(provider)}</span>
+                    </td>
+                    {timeSlots.map((slot, colIndex) => {
+                      // Keyboard focus enters the grid at one cell (roving tabindex); status is read out with the cell
+                      const gridCellProps = (status, onToggle) => ({
+                        role: 'gridcell',
+                        tabIndex: provider.id === focusableCell.providerId && slot.id === focusableCell.slotId ? 0 : -1,
+                        'aria-label': `${provider.name}, ${formatSlot(slot)}, score ${formatTruncatedScore(score)}, ${status}`,
+                        'data-row': rowIndex,
+                        'data-col': colIndex,
+                        onFocus: () => setActiveCell({ providerId: provider.id, slotId: slot.id }),
+                        onKeyDown: (e) => handleGridCellKeyDown(e, rowIndex, colIndex, onToggle)
+                      })
+                      const unavailableReason = engineContext.availability[provider.id]?.blocked[slot.id]
+                      if (unavailableReason) {
+                        const canUnblock = isEditingAvailability && unavailableReason === 'blocked'
+                        const unblock = canUnblock ? () => handleToggleBlockedSlot(provider.id, slot.id) : undefined
+                        return (
+                          <td
+                            key={slot.id}
+                            className="slot-cell"
+                            {...gridCellProps(`unavailable: ${UNAVAILABLE_REASON_LABELS[unavailableReason]}${canUnblock ? ', press Space to unblock' : ''}`, unblock)}
+                          >
+                            <div
+                              className={`slot-blocked ${unavailableReason} ${canUnblock ? 'editable' : ''}`}
+                              title={`${UNAVAILABLE_REASON_LABELS[unavailableReason]}${canUnblock ? ' - click to unblock' : ''}`}
+                              onClick={unblock}
+                            >
+                              {UNAVAILABLE_REASON_LABELS[unavailableReason]}
+                            </div>
+                          </td>
+                        )
+                      }
+
+                      const isSelected = isSlotSelected(selectedSlots, provider.id, slot.id)
+                      if (isEditingAvailability) {
+                        const block = isSelected ? undefined : () => handleToggleBlockedSlot(provider.id, slot.id)
+                        return (
+                          <td
+                            key={slot.id}
+                            className="slot-cell"
+                            {...gridCellProps(isSelected ? 'booked, can\'t be blocked' : 'open, press Space to block', block)}
+                          >
+                            {isSelected ? (
+                              <div className="slot-blockable booked" title="Booked slots can't be blocked">
+                                Booked
+                              </div>
+                            ) : (
+                              <div
+                                className="slot-blockable"
+                                title="Click to block this slot"
+                                onClick={block}
+                              >
+                                Open
+                              </div>
+                            )}
+                          </td>
+                        )
+                      }
+
+                      const isNewlySelectedSlot = isNewlySelected(provider.id, slot.id)
+                      const isPendingSelectionSlot = isPendingSelection(provider.id, slot.id)
+                      const isMaxScore = !isSelected && boardWinners[slot.id] === provider.id
+                      const isEnabled = !isApiConnected && (isMaxScore || isSelected) // Enable only if max score or already selected
+                      const isUnlicensed = !isLicensedIn(provider, activePatientState)
+                      const constraintBlock = isSelected ? null : getConstraintBlock(provider, slot.id, selectedSlots, engineContext)
+                      const status = isPendingSelectionSlot ? 'being booked'
+                        : isSelected ? (isNewlySelectedSlot ? 'just booked' : 'booked')
+                          : isMaxScore ? (isApiConnected ? 'next available, highest score, booked through the scheduling API' : 'next available, highest score')
+                            : isUnlicensed ? `not licensed in ${activePatientState}`
+                              : constraintBlock ? `not available: ${CONSTRAINT_LABELS[constraintBlock]}`
+                                : 'not available'
+                      
+                      return (
+                        <td
+                          key={slot.id}
+                          className="slot-cell"
+                          aria-selected={isSelected}
+                          {...gridCellProps(status, isEnabled ? () => toggleSlot(provider.id, slot.id) : undefined)}
+                        >
+                          <label
+                            className={`slot-checkbox-label ${isSelected ? 'selected' : ''} ${isMaxScore ? 'max-score' : ''} ${!isEnabled ? 'disabled' : ''} ${isNewlySelectedSlot ? 'newly-selected' : ''} ${isPendingSelectionSlot ? 'pending-selection' : ''} ${isUnlicensed ? 'unlicensed' : ''} ${constraintBlock ? 'constraint-blocked' : ''}`}
+                            title={`Score: ${formatTruncatedScore(score)}${isMaxScore ? ' (Max - Next Available)' : isUnlicensed ? ` (Not licensed in ${activePatientState})` : constraintBlock ? ` (${CONSTRAINT_LABELS[constraintBlock]})` : !isEnabled ? ' (Not Available)' : ''}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={isSelected}
+                              onChange={() => toggleSlot(provider.id, slot.id)}
+                              disabled={!isEnabled}
+                              tabIndex={-1}
+                            />
+                            <button
+                              type="button"
+                              className="score-indicator explain-button"
+                              onClick={() => setExplainedCell({ providerId: provider.id, slotId: slot.id })}
+                              title="Explain who gets this slot"
+                              tabIndex={-1}
+                            >
+                              {formatTruncatedScore(score)}
+                            </button>
+                          </label>
+                        </td>
+                      )
+                    })}
+                    <td className="total-cell">
+                      <strong>{countSelectedSlots(selectedSlots, provider.id)}</strong>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          {explanation && (
+            <ExplainPanel
+              key={`${explainedCell.providerId}|${explainedCell.slotId}`}
+              explanation={explanation}
+              providerId={explainedCell.providerId}
+              providers={sortedProviders}
+              slotLabel={formatSlot(explainedSlot)}
+              onClose={closeExplainPanel}
+            />
+          )}
+          <TimelineControls
+            timeline={timeline}
+            providers={sortedProviders}
+            timeSlots={timeSlots}
+            formatSlot={formatSlot}
+            onSeek={handleSeekTimeline}
+          />
+          <div className="grid-footer">
+            <p className="utc-footnote">
+              * slot times are in {timeDisplayLabel}{displayTimeZone !== DEFAULT_TIME_ZONE && '; clinic hours and days are set in UTC (+1 / -1 marks a slot on the next or previous local day)'}
+            </p>
+            <ScheduleExportControls
+              providers={sortedProviders}
+              timeSlots={timeSlots}
+              selectedSlots={selectedSlots}
+              events={appliedEvents}
+            />
+            <label className="availability-toggle">
+              <input
+                type="checkbox"
+                checked={isEditingAvailability}
+                onChange={(e) => setIsEditingAvailability(e.target.checked)}
+              />
+              Edit availability (click cells to block or unblock them)
+            </label>
+          </div>
+          <AnalyticsDashboard events={appliedEvents} selectedSlots={selectedSlots} context={engineContext} />
+        </div>
+      )}
+
+      <RosterEditor
+        providers={providers}
+        onAdd={handleAddProvider}
+        onUpdate={handleUpdateProvider}
+        onUpdateStates={handleUpdateProviderStates}
+        onRemove={handleRemoveProvider}
+      />
 
       <div className="priority-order-info">
         <h3>Priority Order (Higher score = Higher priority)</h3>
@@ -0,0 +1,133 @@
+import { useMemo } from 'react'
+import { buildTrajectories, countUnfilledSlots, getUtilization } from '../engine/analytics.js'
+import { giniCoefficient } from '../engine/stats.js'
+
+const SERIES_COLORS = ['#667eea', '#28a745', '#ff6b35', '#dc3545', '#17a2b8', '#ffc107', '#6f42c1', '#20c997', '#e83e8c', '#6c757d']
+
+const CHART_WIDTH = 420
+const CHART_HEIGHT = 160
+const CHART_PADDING = 28
+
+// Minimal SVG line chart: one polyline per series over the same x steps.
+// Infinite values (0-license providers) are left out rather than blowing up the scale.
+function LineChart({ title, series, steps, yMin, yMax, formatY }) {
+  const finiteValues = series.flatMap(s => s.values).filter(Number.isFinite)
+  const low = yMin ?? Math.min(0, ...finiteValues)
+  const high = yMax ?? Math.max(low + 0.01, ...finiteValues)
+  const x = (step) => CHART_PADDING + (steps > 0 ? (step / steps) * (CHART_WIDTH - 2 * CHART_PADDING) : 0)
+  const y = (value) => CHART_HEIGHT - CHART_PADDING - ((value - low) / (high - low)) * (CHART_HEIGHT - 2 * CHART_PADDING)
+
+  return (
+    <figure className="analytics-chart">
+      <figcaption>{title}</figcaption>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={title}>
+        <line x1={CHART_PADDING} y1={y(low)} x2={CHART_WIDTH - CHART_PADDING} y2={y(low)} className="analytics-axis" />
+        <line x1={CHART_PADDING} y1={y(low)} x2={CHART_PADDING} y2={y(high)} className="analytics-axis" />
+        <text x={CHART_PADDING - 4} y={y(high) + 4} textAnchor="end" className="analytics-tick">{formatY(high)}</text>
+        <text x={CHART_PADDING - 4} y={y(low) + 4} textAnchor="end" className="analytics-tick">{formatY(low)}</text>
+        <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 8} textAnchor="end" className="analytics-tick">{steps} steps</text>
+        {series.map((s) => (
+          <polyline
+            key={s.id}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+            points={s.values
+              .map((value, step) => (Number.isFinite(value) ? `${x(step)},${y(value)}` : null))
+              .filter(Boolean)
+              .join(' ')}
+          >
+            <title>{s.label}</title>
+          </polyline>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <ul className="analytics-legend">
+          {series.map((s) => (
+            <li key={s.id}>
+              <span className="analytics-swatch" style={{ background: s.color }} />
+              {s.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </figure>
+  )
+}
+
+// Dashboard under the grid: utilization against capacity, each provider's score and the
+// Gini coefficient after every iteration, and the open slots left. Built from the
+// applied events, so it updates live while the simulation runs and follows the timeline.
+function AnalyticsDashboard({ events, selectedSlots, context }) {
+  const points = useMemo(() => buildTrajectories(events, context), [events, context])
+  const utilization = getUtilization(selectedSlots, context)
+  const unfilled = countUnfilledSlots(selectedSlots, context)
+  const totalCapacity = utilization.reduce((sum, u) => sum + u.capacity, 0)
+  const gini = giniCoefficient(utilization.map(u => u.booked))
+
+  const scoreSeries = context.providers.map((provider, index) => ({
+    id: provider.id,
+    label: provider.name,
+    color: SERIES_COLORS[index % SERIES_COLORS.length],
+    values: points.map(point => point.scores[provider.id])
+  }))
+  const steps = points.length - 1
+
+  return (
+    <section className="analytics-dashboard" aria-label="Analytics">
+      <h3>Analytics</h3>
+      <div className="analytics-summary">
+        <div>
+          <strong>{unfilled}</strong> of {totalCapacity} provider slots still open
+        </div>
+        <div>
+          Gini coefficient <strong>{gini.toFixed(3)}</strong> (0 = evenly shared)
+        </div>
+      </div>
+
+      <div className="analytics-panels">
+        <figure className="analytics-chart">
+          <figcaption>Utilization vs capacity</figcaption>
+          <table className="analytics-utilization">
+            <tbody>
+              {utilization.map(({ id, booked, capacity, utilization: share }, index) => (
+                <tr key={id}>
+                  <th>{context.providers[index].name}</th>
+                  <td className="analytics-bar-cell">
+                    <div className="analytics-bar" title={`${booked} of ${capacity} available slots`}>
+                      <div className="analytics-bar-fill" style={{ width: `${share * 100}%` }} />
+                    </div>
+                  </td>
+                  <td>{booked}/{capacity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </figure>
+        <LineChart
+          title="Availability score per provider"
+          series={scoreSeries}
+          steps={steps}
+          formatY={(value) => value.toFixed(2)}
+        />
+        <LineChart
+          title="Gini coefficient over time"
+          series={[{ id: 'gini', label: 'Gini', color: '#dc3545', values: points.map(point => point.gini) }]}
+          steps={steps}
+          yMin={0}
+          yMax={Math.max(0.1, ...points.map(point => point.gini))}
+          formatY={(value) => value.toFixed(2)}
+        />
+        <LineChart
+          title="Open provider slots"
+          series={[{ id: 'unfilled', label: 'Open slots', color: '#667eea', values: points.map(point => point.unfilled) }]}
+          steps={steps}
+          yMin={0}
+          formatY={(value) => String(Math.round(value))}
+        />
+      </div>
+    </section>
+  )
+}
+
+export default AnalyticsDashboard
@@ -0,0 +1,99 @@
+import { SLOT_INTERVALS } from '../engine/timeSlots.js'
+import { getTimeZoneLabel, TIME_ZONES } from '../engine/timeZones.js'
+
+const HOURS = Array.from({ length: 25 }, (_, hour) => hour)
+
+// 0 -> "12 AM", 13 -> "1 PM", 24 -> "12 AM (midnight)"
+const formatHour = (hour) => {
+  if (hour === 24) return '12 AM (midnight)'
+  const suffix = hour < 12 ? 'AM' : 'PM'
+  return `${hour % 12 === 0 ? 12 : hour % 12} ${suffix}`
+}
+
+// Header controls for the clinic day: opening hours (UTC), slot length, how many days to
+// show, and the zone slot times are shown in. timeDisplay is a zone ID or
+// "provider:<id>" for the home time zone of a provider who has one.
+function ClinicDayControls({ config, onChange, timeDisplay, providers, onTimeDisplayChange }) {
+  const update = (changes) => onChange({ ...config, ...changes })
+  const providersWithZones = providers.filter(provider => provider.homeTimeZone)
+
+  return (
+    <div className="weight-controls clinic-day-controls">
+      <label className="weight-control">
+        Start date:
+        <input
+          type="date"
+          value={config.startDate}
+          onChange={(e) => e.target.value && update({ startDate: e.target.value })}
+        />
+      </label>
+      <label className="weight-control">
+        Days:
+        <select value={config.days} onChange={(e) => update({ days: parseInt(e.target.value) })}>
+          {[1, 2, 3, 4, 5, 6, 7, 10, 14].map(days => (
+            <option key={days} value={days}>{days}</option>
+          ))}
+        </select>
+      </label>
+      <label className="weight-control">
+        <input
+          type="checkbox"
+          checked={config.skipWeekends}
+          onChange={(e) => update({ skipWeekends: e.target.checked })}
+        />
+        Skip weekends
+      </label>
+      <label className="weight-control">
+        Open (UTC):
+        <select
+          value={config.startHour}
+          onChange={(e) => {
+            const startHour = parseInt(e.target.value)
+            update({ startHour, endHour: Math.max(config.endHour, startHour + 1) })
+          }}
+        >
+          {HOURS.slice(0, 24).map(hour => (
+            <option key={hour} value={hour}>{formatHour(hour)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="weight-control">
+        Close (UTC):
+        <select value={config.endHour} onChange={(e) => update({ endHour: parseInt(e.target.value) })}>
+          {HOURS.slice(config.startHour + 1).map(hour => (
+            <option key={hour} value={hour}>{formatHour(hour)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="weight-control">
+        Slot length:
+        <select value={config.intervalMinutes} onChange={(e) => update({ intervalMinutes: parseInt(e.target.value) })}>
+          {SLOT_INTERVALS.map(minutes => (
+            <option key={minutes} value={minutes}>{minutes} min</option>
+          ))}
+        </select>
+      </label>
+      <label className="weight-control">
+        Show times in:
+        <select value={timeDisplay} onChange={(e) => onTimeDisplayChange(e.target.value)}>
+          <optgroup label="Time zone">
+            {TIME_ZONES.map(zone => (
+              <option key={zone.id} value={zone.id}>{zone.label}</option>
+            ))}
+          </optgroup>
+          {providersWithZones.length > 0 && (
+            <optgroup label="Provider's local time">
+              {providersWithZones.map(provider => (
+                <option key={provider.id} value={`provider:${provider.id}`}>
+                  {provider.name} ({getTimeZoneLabel(provider.homeTimeZone)})
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </label>
+    </div>
+  )
+}
+
+export default ClinicDayControls
@@ -0,0 +1,190 @@
+import { useEffect, useRef, useState } from 'react'
+import { countSelectedSlots, createEngineContext, isSlotSelected } from '../engine/scoring.js'
+import { getLicenseCount } from '../engine/licensing.js'
+import { giniCoefficient } from '../engine/stats.js'
+import { getStrategy } from '../engine/strategies.js'
+import { createSimulationClient } from '../workers/simulationClient.js'
+
+// Compact read-only grid of one configuration's bookings
+function ComparisonGrid({ title, providers, timeSlots, selection }) {
+  return (
+    <div className="comparison-grid">
+      <h4>{title}</h4>
+      <table>
+        <tbody>
+          {providers.map((provider) => (
+            <tr key={provider.id}>
+              <th>{provider.name}</th>
+              {timeSlots.map((slot) => (
+                <td
+                  key={slot.id}
+                  className={isSlotSelected(selection, provider.id, slot.id) ? 'booked' : ''}
+                  title={`${provider.name} - ${slot.dayLabel} ${slot.displayTime}`}
+                />
+              ))}
+              <td className="comparison-total">{countSelectedSlots(selection, provider.id)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Weight slider for one side of the comparison (weight 2 is always 1 - weight 1)
+function WeightInput({ label, weight1, onChange }) {
+  return (
+    <label className="comparison-weight">
+      {label}: weight 1
+      <input
+        type="range"
+        min="0.1"
+        max="0.9"
+        step="0.05"
+        value={weight1}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+      />
+      <span>{weight1.toFixed(2)} / {(1 - weight1).toFixed(2)}</span>
+    </label>
+  )
+}
+
+// Compare mode: run one demand sequence, made from the seed, against two weight
+// configurations and show both grids side by side with a per-provider diff of the totals.
+// Both runs replay the same patients however their picks differ, and go to the
+// simulation worker so a large roster doesn't freeze the page.
+// Roster, clinic day, scoring strategy, tie-break settings and demand model are shared with the main simulator.
+function ComparisonPanel({ providers, timeSlots, strategy, strategyParams, tieBreak, compareRawScores, demand, seed, initialWeight1 }) {
+  const [weight1A, setWeight1A] = useState(initialWeight1)
+  const [weight1B, setWeight1B] = useState(0.5)
+  const [fillPercent, setFillPercent] = useState(50)
+  const [result, setResult] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const clientRef = useRef(null)
+
+  useEffect(() => {
+    const client = createSimulationClient()
+    clientRef.current = client
+    return () => {
+      client.terminate() // A comparison in progress never hears back
+      clientRef.current = null
+    }
+  }, [])
+
+  const runComparison = async () => {
+    const maxBookings = Math.round(providers.length * timeSlots.length * fillPercent / 100)
+    const contextFor = (weight1) => createEngineContext({
+      providers,
+      timeSlots,
+      weight1,
+      weight2: 1 - weight1,
+      strategy,
+      strategyParams,
+      tieBreak,
+      tieBreakSeed: seed,
+      compareRawScores
+    })
+    setError(null)
+    setRunning(true)
+    try {
+      const { selections } = await clientRef.current.compareConfigurations({
+        contexts: [contextFor(weight1A), contextFor(weight1B)],
+        seed,
+        maxBookings,
+        demand
+      })
+      setResult({ weight1A, weight1B, seed, maxBookings, selectionA: selections[0], selectionB: selections[1] })
+    } catch (compareError) {
+      setError(compareError.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  // Totals per provider in the current roster (the roster may have been edited since the run)
+  const totals = result && providers.map((provider) => ({
+    provider,
+    a: countSelectedSlots(result.selectionA, provider.id),
+    b: countSelectedSlots(result.selectionB, provider.id)
+  }))
+
+  return (
+    <div className="table-container comparison-panel">
+      <div className="comparison-controls">
+        <WeightInput label="Configuration A" weight1={weight1A} onChange={setWeight1A} />
+        <WeightInput label="Configuration B" weight1={weight1B} onChange={setWeight1B} />
+        <label className="comparison-weight">
+          Bookings (% of grid):
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={fillPercent}
+            onChange={(e) => setFillPercent(Math.max(1, Math.min(100, parseInt(e.target.value) || 1)))}
+          />
+        </label>
+        <button type="button" className="sim-button play-button" onClick={runComparison} disabled={running}>
+          {running ? 'Running...' : '▶ Run comparison'}
+        </button>
+      </div>
+      <p className="comparison-note">
+        Both configurations get the same patients, drawn once from seed <strong>{seed}</strong>.
+        {!getStrategy(strategy).usesWeights && ' The active scoring strategy ignores the weights, so both sides will match.'}
+      </p>
+      {error && <p className="simulation-error" role="alert">The comparison stopped: {error}</p>}
+
+      {result && (
+        <>
+          <div className="comparison-grids">
+            <ComparisonGrid
+              title={`A: weights ${result.weight1A.toFixed(2)} / ${(1 - result.weight1A).toFixed(2)}`}
+              providers={providers}
+              timeSlots={timeSlots}
+              selection={result.selectionA}
+            />
+            <ComparisonGrid
+              title={`B: weights ${result.weight1B.toFixed(2)} / ${(1 - result.weight1B).toFixed(2)}`}
+              providers={providers}
+              timeSlots={timeSlots}
+              selection={result.selectionB}
+            />
+          </div>
+          <h4>Per-provider totals ({result.maxBookings} bookings, seed {result.seed})</h4>
+          <table className="comparison-diff">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                <th>States licensed</th>
+                <th>A</th>
+                <th>B</th>
+                <th>B - A</th>
+              </tr>
+            </thead>
+            <tbody>
+              {totals.map(({ provider, a, b }) => (
+                <tr key={provider.id}>
+                  <td>{provider.name}</td>
+                  <td>{getLicenseCount(provider)}</td>
+                  <td>{a}</td>
+                  <td>{b}</td>
+                  <td className={b > a ? 'diff-up' : b < a ? 'diff-down' : ''}>
+                    {b > a ? '+' : ''}{b - a}
+                  </td>
+                </tr>
+              ))}
+              <tr className="comparison-gini">
+                <td colSpan={2}>Gini coefficient</td>
+                <td>{giniCoefficient(totals.map(t => t.a)).toFixed(3)}</td>
+                <td>{giniCoefficient(totals.map(t => t.b)).toFixed(3)}</td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ComparisonPanel
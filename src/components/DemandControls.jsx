@@ -0,0 +1,62 @@
+import { demandModels, getDefaultDemandParams, getDemandModel } from '../engine/demand.js'
+
+// Header controls for how patients arrive: the demand model, its parameters and
+// the cancellation/no-show rate. Changes apply from the next iteration; bookings stay.
+function DemandControls({ demand, onChange }) {
+  const model = getDemandModel(demand.model)
+  const params = { ...getDefaultDemandParams(demand.model), ...demand.params }
+
+  return (
+    <div className="weight-controls demand-controls">
+      <label className="weight-control" title={model.description}>
+        Demand:
+        <select
+          className="strategy-select"
+          value={demand.model}
+          onChange={(e) => onChange({ ...demand, model: e.target.value, params: getDefaultDemandParams(e.target.value) })}
+        >
+          {Object.entries(demandModels).map(([id, demandModel]) => (
+            <option key={id} value={id}>{demandModel.label}</option>
+          ))}
+        </select>
+      </label>
+      {model.params.map((param) => (
+        <label key={param.key} className="weight-control">
+          {param.label}:
+          <input
+            type="range"
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            value={params[param.key]}
+            onChange={(e) => onChange({ ...demand, params: { ...params, [param.key]: parseFloat(e.target.value) } })}
+          />
+          <span>{params[param.key]}</span>
+        </label>
+      ))}
+      <label className="weight-control" title="Chance that each booking from the previous iteration is cancelled or a no-show, freeing the slot again">
+        Cancellations / no-shows:
+        <input
+          type="range"
+          min="0"
+          max="0.5"
+          step="0.05"
+          value={demand.cancellationRate}
+          onChange={(e) => onChange({ ...demand, cancellationRate: parseFloat(e.target.value) })}
+        />
+        <span>{Math.round(demand.cancellationRate * 100)}%</span>
+      </label>
+      <label className="weight-control" title="Give each simulated patient a home state from the roster; only providers licensed there can take them">
+        <input
+          type="checkbox"
+          checked={demand.matchPatientStates === true}
+          onChange={(e) => onChange({ ...demand, matchPatientStates: e.target.checked })}
+        />
+        Match patient states to licenses
+      </label>
+      <p className="demand-description">{model.description}</p>
+    </div>
+  )
+}
+
+export default DemandControls
@@ -0,0 +1,153 @@
+import { useEffect, useId, useRef } from 'react'
+import { formatTruncatedScore } from '../engine/scoring.js'
+import { UNAVAILABLE_REASON_LABELS } from '../engine/availability.js'
+import { CONSTRAINT_LABELS } from '../engine/constraints.js'
+import { getLicenseCount } from '../engine/licensing.js'
+import { getTieBreakPolicy } from '../engine/tieBreaking.js'
+
+const EXCLUDED_REASON_LABELS = {
+  booked: 'Already booked in this slot',
+  unlicensed: 'Not licensed in the patient\'s state',
+  ...UNAVAILABLE_REASON_LABELS,
+  ...CONSTRAINT_LABELS
+}
+
+// Scores and contributions to 4 places; Infinity (0 licenses) stays readable
+const formatDetail = (value) => {
+  return Number.isFinite(value) ? value.toFixed(4) : '∞'
+}
+
+// Weights come from sliders (1 - 0.7 = 0.30000000000000004), so round them for display
+const formatWeight = (weight) => {
+  return String(Math.round(weight * 100) / 100)
+}
+
+// Plain-language answer for the provider whose cell was clicked
+const summarize = (explanation, providerId, nameOf) => {
+  const { winnerId, tieBreak, candidates, excluded, compareRawScores } = explanation
+  const name = nameOf(providerId)
+  const scoreKind = compareRawScores ? 'raw score' : 'truncated score'
+  const formatScore = (candidate) => (compareRawScores ? formatDetail(candidate.rawScore) : formatTruncatedScore(candidate.score))
+  const excludedEntry = excluded.find(e => e.id === providerId)
+  if (excludedEntry) {
+    return `${name} is not a candidate for this slot: ${EXCLUDED_REASON_LABELS[excludedEntry.reason].toLowerCase()}.`
+  }
+  if (winnerId === null) {
+    return 'No provider can take this slot.'
+  }
+  const candidate = candidates.find(c => c.id === providerId)
+  const winner = candidates.find(c => c.id === winnerId)
+  if (winner.belowGuarantee && !candidate.belowGuarantee) {
+    return `${nameOf(winnerId)} goes first: they have not had their guaranteed minimum of slots yet.`
+  }
+  if (winnerId === providerId) {
+    return tieBreak
+      ? `${name} is next for this slot: tied on the highest ${scoreKind} (${formatScore(winner)}) and chosen by the tie-break.`
+      : `${name} is next for this slot with the highest ${scoreKind} (${formatScore(winner)}).`
+  }
+  if (candidate.isTied) {
+    return `${name} tied on the highest ${scoreKind} (${formatScore(winner)}) but the tie-break chose ${nameOf(winnerId)}.`
+  }
+  return `${name} has a ${scoreKind} of ${formatScore(candidate)}, below ${nameOf(winnerId)}'s ${formatScore(winner)}.`
+}
+
+// Breakdown of why a slot goes to its current winner: each candidate's weighted
+// terms, raw and truncated scores, and how a tie on the highest score was broken.
+// Reflects the board as shown, so it updates as bookings change.
+// slotLabel is the slot's day and time as the grid shows them.
+// Focus moves to the heading when the panel opens, so keyboard and screen reader users
+// land on it; Escape closes it like the close button, and onClose returns the focus.
+function ExplainPanel({ explanation, providerId, providers, slotLabel, onClose }) {
+  const headingId = useId()
+  const headingRef = useRef(null)
+
+  useEffect(() => {
+    headingRef.current?.focus()
+  }, [])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  const nameOf = (id) => providers.find(p => p.id === id)?.name ?? `Provider ${id}`
+  const { winnerId, tieBreak, candidates, excluded, compareRawScores } = explanation
+  const termLabels = candidates[0]?.terms.map(term => term.label) || []
+
+  return (
+    <section className="explain-panel" aria-labelledby={headingId} onKeyDown={handleKeyDown}>
+      <div className="explain-header">
+        <h3 id={headingId} ref={headingRef} tabIndex={-1}>
+          <span className="visually-hidden">Why this slot goes where it does: </span>
+          {nameOf(providerId)} - {slotLabel}
+        </h3>
+        <button type="button" className="explain-close" onClick={onClose} title="Close" aria-label="Close explanation">
+          ✕
+        </button>
+      </div>
+      <p className="explain-summary">{summarize(explanation, providerId, nameOf)}</p>
+      {explanation.patientState && (
+        <p className="explain-tie">Patient state: {explanation.patientState}. Only providers licensed there are candidates.</p>
+      )}
+
+      {candidates.length > 0 && (
+        <table className="explain-table">
+          <thead>
+            <tr>
+              <th>Provider</th>
+              <th>States licensed</th>
+              {termLabels.map((label) => (
+                <th key={label}>{label}</th>
+              ))}
+              <th>Raw score</th>
+              <th>Truncated</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.map((candidate) => (
+              <tr
+                key={candidate.id}
+                className={`${candidate.id === winnerId ? 'explain-winner' : ''} ${candidate.id === providerId ? 'explain-focus' : ''}`}
+              >
+                <td>{nameOf(candidate.id)}</td>
+                <td>{getLicenseCount(providers.find(p => p.id === candidate.id))}</td>
+                {candidate.terms.map((term) => (
+                  <td key={term.key} title={`weight ${formatWeight(term.weight)} × value ${formatDetail(term.value)}`}>
+                    {formatWeight(term.weight)} × {formatDetail(term.value)} = <strong>{formatDetail(term.contribution)}</strong>
+                  </td>
+                ))}
+                <td>{formatDetail(candidate.rawScore)}</td>
+                <td>{Number.isFinite(candidate.score) ? formatTruncatedScore(candidate.score) : '∞'}</td>
+                <td>
+                  {candidate.id === winnerId ? 'Winner' : candidate.isTied ? 'Tied' : ''}
+                  {candidate.belowGuarantee && ' (below guarantee)'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {tieBreak && (
+        <p className="explain-tie">
+          Tie on the {compareRawScores ? 'raw' : 'truncated'} score between {tieBreak.tiedIds.map(nameOf).join(', ')} (ordered by provider ID).
+          Broken by {getTieBreakPolicy(tieBreak.policy).label.toLowerCase()}: {tieBreak.reason},
+          so {nameOf(tieBreak.winnerId)} gets the slot.
+        </p>
+      )}
+
+      {excluded.length > 0 && (
+        <ul className="explain-excluded">
+          {excluded.map(({ id, reason }) => (
+            <li key={id}>{nameOf(id)}: {EXCLUDED_REASON_LABELS[reason]}</li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default ExplainPanel
@@ -0,0 +1,294 @@
+import { useState } from 'react'
+import { isDateString } from '../engine/availability.js'
+import { LIMIT_FIELDS } from '../engine/constraints.js'
+import { getLicenseCount, parseStateList } from '../engine/licensing.js'
+import { DEFAULT_LOCAL_HOURS, TIME_ZONES } from '../engine/timeZones.js'
+
+// Entries of a comma-separated list of dates: { dates, invalid }, with the same date
+// check as scenario files so an edited roster always saves and loads
+const parsePtoDates = (text) => {
+  const entries = text.split(',').map(date => date.trim()).filter(Boolean)
+  return {
+    dates: [...new Set(entries.filter(isDateString))],
+    invalid: entries.filter(date => !isDateString(date))
+  }
+}
+
+// Comma-separated list, committed when the field loses focus so typing isn't interrupted.
+// parse turns the text into { values, invalid }; text with invalid entries stays in the
+// field, unsaved, with an error until it is fixed. An empty result is refused when required.
+function ListInput({ values, parse, onCommit, label, placeholder, className, invalidMessage, required = false }) {
+  const [draft, setDraft] = useState(values.join(', '))
+  const [invalid, setInvalid] = useState([])
+
+  const commit = () => {
+    const parsed = parse(draft)
+    setInvalid(parsed.invalid)
+    if (parsed.invalid.length > 0) return
+    if (required && parsed.values.length === 0) {
+      setDraft(values.join(', '))
+      return
+    }
+    setDraft(parsed.values.join(', '))
+    onCommit(parsed.values)
+  }
+
+  return (
+    <>
+      <input
+        type="text"
+        className={className}
+        placeholder={placeholder}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        aria-label={label}
+        aria-invalid={invalid.length > 0}
+      />
+      {invalid.length > 0 && (
+        <span className="roster-input-error" role="alert">
+          {invalidMessage}: {invalid.join(', ')}
+        </span>
+      )}
+    </>
+  )
+}
+
+// Provider name, updated as you type. A cleared field is never committed: it shows
+// empty until you type again, and the previous name comes back when it loses focus.
+function NameInput({ name, onCommit, label }) {
+  const [blankDraft, setBlankDraft] = useState(null) // The blank text while the field is cleared
+
+  const handleChange = (e) => {
+    const value = e.target.value
+    if (value.trim()) {
+      setBlankDraft(null)
+      onCommit(value)
+    } else {
+      setBlankDraft(value)
+    }
+  }
+
+  return (
+    <input
+      type="text"
+      value={blankDraft ?? name}
+      onChange={handleChange}
+      onBlur={() => setBlankDraft(null)}
+      aria-label={label}
+    />
+  )
+}
+
+// Editable provider roster: rename providers, edit the states they are licensed in
+// (the count is derived from the list), set recent utilization, home time zone, shift
+// hours, lunch break, PTO days and booking limits, add new hires and remove departures.
+// Shift and lunch are in the provider's home time zone when one is set, otherwise UTC.
+// Changes flow straight back into App state, so the grid ordering and scores
+// recompute as you type.
+function RosterEditor({ providers, onAdd, onUpdate, onUpdateStates, onRemove }) {
+  const [newName, setNewName] = useState('')
+  const [newStates, setNewStates] = useState('')
+  const parsedNewStates = parseStateList(newStates)
+
+  // Percent in the input, fraction (0-1) on the provider
+  const parseUtilization = (value) => {
+    const percent = parseInt(value)
+    return Number.isNaN(percent) ? 0 : Math.max(0, Math.min(100, percent)) / 100
+  }
+
+  const updateAvailability = (provider, changes) => {
+    onUpdate(provider.id, { availability: { ...provider.availability, ...changes } })
+  }
+
+  // An empty or out-of-range limit field lifts that limit; no limits left drops the object
+  const updateLimit = (provider, field, value) => {
+    const number = parseInt(value)
+    const { [field.key]: _previous, ...limits } = provider.limits || {}
+    if (!Number.isNaN(number) && number >= field.min) limits[field.key] = number
+    onUpdate(provider.id, { limits: Object.keys(limits).length > 0 ? limits : undefined })
+  }
+
+  // Shift and lunch are start/end pairs; the engine ignores a window until both ends are set
+  const timeWindow = (window, field, value) => {
+    return { start: '', end: '', ...window, [field]: value }
+  }
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name || parsedNewStates.states.length === 0) return
+    onAdd({ name, states: parsedNewStates.states })
+    setNewName('')
+    setNewStates('')
+  }
+
+  return (
+    <div className="roster-editor">
+      <h3>Provider Roster ({providers.length})</h3>
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>States licensed</th>
+            <th>Recent util. %</th>
+            <th>Home time zone</th>
+            <th>Shift</th>
+            <th>Lunch</th>
+            <th>PTO days</th>
+            <th>Limits</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {providers.map((provider) => (
+            <tr key={provider.id}>
+              <td>
+                <NameInput
+                  name={provider.name}
+                  onCommit={(name) => onUpdate(provider.id, { name })}
+                  label={`Name of provider ${provider.id}`}
+                />
+              </td>
+              <td className="roster-states">
+                <ListInput
+                  key={(provider.states || []).join(',')}
+                  values={provider.states || []}
+                  parse={(text) => {
+                    const { states, invalid } = parseStateList(text)
+                    return { values: states, invalid }
+                  }}
+                  onCommit={(states) => onUpdateStates(provider.id, states)}
+                  label={`States licensed for ${provider.name}`}
+                  placeholder="CA, NY, ..."
+                  className="states-input"
+                  invalidMessage="Not state codes"
+                  required
+                />
+                <span className="roster-states-count">{getLicenseCount(provider)}</span>
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={Math.round((provider.recentUtilization || 0) * 100)}
+                  onChange={(e) => onUpdate(provider.id, { recentUtilization: parseUtilization(e.target.value) })}
+                  aria-label={`Recent utilization percent for ${provider.name}`}
+                  title="Share of this provider's capacity booked recently (used by the recent utilization scoring strategy)"
+                />
+              </td>
+              <td>
+                <select
+                  value={provider.homeTimeZone || ''}
+                  onChange={(e) => onUpdate(provider.id, { homeTimeZone: e.target.value || undefined })}
+                  aria-label={`Home time zone for ${provider.name}`}
+                  title={`Without a shift, slots outside ${DEFAULT_LOCAL_HOURS.start}-${DEFAULT_LOCAL_HOURS.end} local time are blocked`}
+                >
+                  <option value="">Not set (UTC hours)</option>
+                  {provider.homeTimeZone && !TIME_ZONES.some(zone => zone.id === provider.homeTimeZone) && (
+                    <option value={provider.homeTimeZone}>{provider.homeTimeZone}</option>
+                  )}
+                  {TIME_ZONES.map((zone) => (
+                    <option key={zone.id} value={zone.id}>{zone.label}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="roster-time-window">
+                <input
+                  type="time"
+                  value={provider.availability?.shift?.start || ''}
+                  onChange={(e) => updateAvailability(provider, { shift: timeWindow(provider.availability?.shift, 'start', e.target.value) })}
+                  aria-label={`Shift start for ${provider.name}`}
+                />
+                –
+                <input
+                  type="time"
+                  value={provider.availability?.shift?.end || ''}
+                  onChange={(e) => updateAvailability(provider, { shift: timeWindow(provider.availability?.shift, 'end', e.target.value) })}
+                  aria-label={`Shift end for ${provider.name}`}
+                />
+              </td>
+              <td className="roster-time-window">
+                <input
+                  type="time"
+                  value={provider.availability?.breaks?.[0]?.start || ''}
+                  onChange={(e) => updateAvailability(provider, { breaks: [timeWindow(provider.availability?.breaks?.[0], 'start', e.target.value)] })}
+                  aria-label={`Lunch start for ${provider.name}`}
+                />
+                –
+                <input
+                  type="time"
+                  value={provider.availability?.breaks?.[0]?.end || ''}
+                  onChange={(e) => updateAvailability(provider, { breaks: [timeWindow(provider.availability?.breaks?.[0], 'end', e.target.value)] })}
+                  aria-label={`Lunch end for ${provider.name}`}
+                />
+              </td>
+              <td>
+                <ListInput
+                  key={(provider.availability?.ptoDates || []).join(',')}
+                  values={provider.availability?.ptoDates || []}
+                  parse={(text) => {
+                    const { dates, invalid } = parsePtoDates(text)
+                    return { values: dates, invalid }
+                  }}
+                  onCommit={(ptoDates) => updateAvailability(provider, { ptoDates })}
+                  label={`PTO days for ${provider.name}`}
+                  placeholder="YYYY-MM-DD, ..."
+                  className="pto-input"
+                  invalidMessage="Not YYYY-MM-DD dates"
+                />
+              </td>
+              <td className="roster-limits">
+                {LIMIT_FIELDS.map((field) => (
+                  <input
+                    key={field.key}
+                    type="number"
+                    min={field.min}
+                    placeholder={field.label}
+                    value={provider.limits?.[field.key] ?? ''}
+                    onChange={(e) => updateLimit(provider, field, e.target.value)}
+                    aria-label={`${field.label} for ${provider.name}`}
+                    title={field.label}
+                  />
+                ))}
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="roster-remove-button"
+                  onClick={() => onRemove(provider.id)}
+                  title={`Remove ${provider.name}`}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <form className="roster-add-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          placeholder="New provider name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <input
+          type="text"
+          className="states-input"
+          placeholder="States, e.g. CA, NY"
+          value={newStates}
+          onChange={(e) => setNewStates(e.target.value)}
+          aria-label="States licensed for new provider"
+          title={parsedNewStates.invalid.length > 0 ? `Not US state codes: ${parsedNewStates.invalid.join(', ')}` : undefined}
+        />
+        <button type="submit" className="roster-add-button" disabled={!newName.trim() || parsedNewStates.states.length === 0}>
+          + Add provider
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default RosterEditor
@@ -0,0 +1,115 @@
+import { useMemo, useState } from 'react'
+import {
+  createSavedScenario,
+  getSavedScenarioErrors,
+  loadSavedScenarios,
+  storeSavedScenarios
+} from '../utils/scenarioStorage.js'
+
+const formatSavedAt = (iso) => {
+  return typeof iso === 'string' ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : ''
+}
+
+// Named scenarios kept in browser storage: save the current board under a name,
+// then load, rename, duplicate or delete entries. Loading replaces the board like
+// importing a scenario file does. Entries this version can't read are listed with
+// their errors and can only be deleted.
+function SavedScenariosMenu({ currentScenario, onLoad }) {
+  const [entries, setEntries] = useState(loadSavedScenarios)
+  const errorsByEntry = useMemo(() => new Map(entries.map(entry => [entry, getSavedScenarioErrors(entry)])), [entries])
+  const [newName, setNewName] = useState('')
+  const [storageFailed, setStorageFailed] = useState(false)
+
+  const update = (nextEntries) => {
+    setEntries(nextEntries)
+    setStorageFailed(!storeSavedScenarios(nextEntries))
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const name = newName.trim() || `Scenario ${entries.length + 1}`
+    update([createSavedScenario(name, currentScenario), ...entries])
+    setNewName('')
+  }
+
+  // An emptied name field goes back to the old name
+  const handleRename = (entry, input) => {
+    const name = input.value.trim()
+    if (!name) {
+      input.value = entry.name
+      return
+    }
+    update(entries.map(other => (other === entry ? { ...other, name } : other)))
+  }
+
+  const handleDuplicate = (entry) => {
+    const index = entries.indexOf(entry)
+    const copy = createSavedScenario(`${entry.name} (copy)`, entry.scenario)
+    update([...entries.slice(0, index + 1), copy, ...entries.slice(index + 1)])
+  }
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete the saved scenario "${entry?.name ?? 'without a name'}"?`)) return
+    update(entries.filter(other => other !== entry))
+  }
+
+  return (
+    <details className="saved-scenarios">
+      <summary className="scenario-button">📁 Saved scenarios ({entries.length})</summary>
+      <div className="saved-scenarios-panel">
+        <form className="saved-scenarios-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            placeholder={`Scenario ${entries.length + 1}`}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            aria-label="Name for the current scenario"
+          />
+          <button type="submit">Save current</button>
+        </form>
+        {storageFailed && (
+          <p className="saved-scenarios-warning" role="alert">
+            Browser storage is full or unavailable: these scenarios will be lost on reload. Export them to files instead.
+          </p>
+        )}
+        {entries.length === 0 ? (
+          <p className="saved-scenarios-empty">No saved scenarios yet.</p>
+        ) : (
+          <ul className="saved-scenarios-list">
+            {entries.map((entry, index) => {
+              const errors = errorsByEntry.get(entry)
+              const name = typeof entry?.name === 'string' ? entry.name : ''
+              return (
+                <li key={typeof entry?.id === 'string' ? entry.id : `unloadable-${index}`}>
+                  <input
+                    key={name}
+                    type="text"
+                    defaultValue={name}
+                    placeholder="Unnamed entry"
+                    readOnly={typeof entry !== 'object' || entry === null}
+                    onBlur={(e) => handleRename(entry, e.target)}
+                    aria-label={`Name of saved scenario ${name}`}
+                  />
+                  <span className="saved-scenarios-date">{formatSavedAt(entry?.savedAt)}</span>
+                  <button type="button" onClick={() => onLoad(entry.scenario)} disabled={errors.length > 0}>Load</button>
+                  <button type="button" onClick={() => handleDuplicate(entry)} disabled={errors.length > 0}>Duplicate</button>
+                  <button type="button" onClick={() => handleDelete(entry)} title={`Delete ${name}`}>✕</button>
+                  {errors.length > 0 && (
+                    <div className="saved-scenarios-errors">
+                      Cannot be loaded:
+                      <ul>
+                        {errors.map((error) => <li key={error}>{error}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default SavedScenariosMenu
@@ -0,0 +1,56 @@
+import { useRef, useState } from 'react'
+import { parseScenario } from '../engine/scenario.js'
+
+// Export the current scenario as JSON, or import one back. Import problems are
+// listed under the buttons and nothing is loaded until the file is valid.
+function ScenarioControls({ onExport, onImport }) {
+  const fileInputRef = useRef(null)
+  const [importErrors, setImportErrors] = useState([])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // Allow the same file to be picked again after fixing it
+    if (!file) return
+
+    const { scenario, errors } = parseScenario(await file.text())
+    if (errors) {
+      setImportErrors(errors)
+      return
+    }
+    setImportErrors([])
+    onImport(scenario)
+  }
+
+  return (
+    <div className="scenario-controls">
+      <button type="button" className="scenario-button" onClick={onExport}>
+        ⬇ Export scenario
+      </button>
+      <button type="button" className="scenario-button" onClick={() => fileInputRef.current.click()}>
+        ⬆ Import scenario
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFileChange}
+        hidden
+      />
+      {importErrors.length > 0 && (
+        <div className="scenario-errors" role="alert">
+          <strong>Could not import the scenario:</strong>
+          <ul>
+            {importErrors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+          <button type="button" className="scenario-errors-dismiss" onClick={() => setImportErrors([])}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioControls
@@ -0,0 +1,53 @@
+import { useState } from 'react'
+import { buildScheduleRows, scheduleToCsv, scheduleToIcs, slugify } from '../engine/scheduleExport.js'
+import { downloadFile } from '../utils/download.js'
+
+const ALL_PROVIDERS = 'all'
+
+// Download the current allocation as a CSV, or as an .ics calendar for one provider
+// or for all of them in a single file
+function ScheduleExportControls({ providers, timeSlots, selectedSlots, events }) {
+  const [calendarProvider, setCalendarProvider] = useState(ALL_PROVIDERS)
+
+  const getRows = () => buildScheduleRows({ providers, timeSlots, selectedSlots, events })
+  const hasBookings = providers.some(provider => Object.values(selectedSlots[provider.id] || {}).some(Boolean))
+
+  const handleCsvExport = () => {
+    downloadFile('schedule.csv', scheduleToCsv(getRows()), 'text/csv')
+  }
+
+  // One download either way: browsers block all but the first of several at once
+  const handleIcsExport = () => {
+    const rows = getRows()
+    if (calendarProvider === ALL_PROVIDERS) {
+      downloadFile('schedule-all-providers.ics', scheduleToIcs(providers, rows, 'All providers'), 'text/calendar')
+      return
+    }
+    const provider = providers.find(p => p.id === Number(calendarProvider))
+    if (!provider) return
+    downloadFile(`schedule-${slugify(provider.name)}.ics`, scheduleToIcs([provider], rows, provider.name), 'text/calendar')
+  }
+
+  return (
+    <div className="schedule-export-controls">
+      <button type="button" className="schedule-export-button" onClick={handleCsvExport} disabled={!hasBookings}>
+        ⬇ CSV
+      </button>
+      <select
+        value={calendarProvider}
+        onChange={(e) => setCalendarProvider(e.target.value)}
+        aria-label="Provider calendar to export"
+      >
+        <option value={ALL_PROVIDERS}>All providers (one file)</option>
+        {providers.map(provider => (
+          <option key={provider.id} value={provider.id}>{provider.name}</option>
+        ))}
+      </select>
+      <button type="button" className="schedule-export-button" onClick={handleIcsExport} disabled={!hasBookings}>
+        ⬇ Calendar (.ics)
+      </button>
+    </div>
+  )
+}
+
+export default ScheduleExportControls
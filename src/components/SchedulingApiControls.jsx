@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { validateScenario } from '../engine/scenario.js'
+import { fetchScenario } from '../utils/schedulingApi.js'
+
+// Point the grid at the scheduling API (npm run serve). While connected, the roster,
+// clinic day and scoring settings are sent to the service and the slot winners and
+// scores shown come back from it; slots where it disagrees with the in-browser engine
+// are counted. The service keeps its own bookings, so the grid and the simulation
+// don't book while connected: the bookings the backend committed are pulled into the
+// grid with "Load from service".
+function SchedulingApiControls({ url, connected, syncing, error, driftedSlots, onUrlChange, onConnectedChange, onImport }) {
+  const [loadErrors, setLoadErrors] = useState([])
+
+  const handleLoad = async () => {
+    try {
+      const scenario = await fetchScenario(url)
+      const errors = validateScenario(scenario)
+      setLoadErrors(errors)
+      if (errors.length === 0) onImport(scenario)
+    } catch (loadError) {
+      setLoadErrors([loadError.message])
+    }
+  }
+
+  let status = 'Off: the grid uses the in-browser engine'
+  if (connected && error) {
+    status = `Can't reach the service: ${error}`
+  } else if (connected && syncing) {
+    status = 'Syncing...'
+  } else if (connected) {
+    status = driftedSlots > 0
+      ? `⚠ ${driftedSlots} slot(s) have a different winner than the in-browser engine (the service's bookings may differ; load them to compare)`
+      : 'Winners come from the service and match the in-browser engine (booking happens through the service while connected)'
+  }
+
+  return (
+    <div className="scenario-controls scheduling-api-controls">
+      <label className="share-link-option" title="Send the roster, clinic day and scoring settings to the scheduling API and show its answers; the grid is read-only while connected">
+        <input
+          type="checkbox"
+          checked={connected}
+          onChange={(e) => onConnectedChange(e.target.checked)}
+        />
+        Scheduling API
+      </label>
+      <input
+        type="url"
+        className="scheduling-api-url"
+        value={url}
+        onChange={(e) => onUrlChange(e.target.value)}
+        aria-label="Scheduling API address"
+      />
+      <button type="button" className="scenario-button" onClick={handleLoad} disabled={!connected}>
+        ⬇ Load from service
+      </button>
+      <span className={`scheduling-api-status ${connected && (error || driftedSlots > 0) ? 'warning' : ''}`}>{status}</span>
+      {loadErrors.length > 0 && (
+        <div className="scenario-errors" role="alert">
+          <strong>Could not load the service's scenario:</strong>
+          <ul>
+            {loadErrors.map((loadError) => (
+              <li key={loadError}>{loadError}</li>
+            ))}
+          </ul>
+          <button type="button" className="scenario-errors-dismiss" onClick={() => setLoadErrors([])}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SchedulingApiControls
@@ -0,0 +1,63 @@
+import { useState } from 'react'
+
+// Copy a link that opens the simulator on the current scenario. Bookings and their
+// history are left out unless asked for, which keeps the link short. Problems with the link the page
+// was opened from are listed here, and the default scenario is loaded instead.
+function ShareLinkControls({ onCreateLink, initialErrors }) {
+  const [includeSelection, setIncludeSelection] = useState(false)
+  const [linkErrors, setLinkErrors] = useState(initialErrors)
+  const [status, setStatus] = useState(null) // { copied, url } after the last click
+
+  const handleCopy = async () => {
+    const url = await onCreateLink(includeSelection)
+    try {
+      await navigator.clipboard.writeText(url)
+      setStatus({ copied: true, url })
+    } catch {
+      // No clipboard access (e.g. plain http): show the link to copy by hand
+      setStatus({ copied: false, url })
+    }
+  }
+
+  return (
+    <div className="scenario-controls share-link-controls">
+      <button type="button" className="scenario-button" onClick={handleCopy}>
+        🔗 Copy share link
+      </button>
+      <label className="share-link-option" title="Also put the booked slots and their history in the link; long sessions make long links">
+        <input
+          type="checkbox"
+          checked={includeSelection}
+          onChange={(e) => setIncludeSelection(e.target.checked)}
+        />
+        Include bookings
+      </label>
+      {status?.copied && <span className="share-link-status">Link copied ({status.url.length} characters)</span>}
+      {status && !status.copied && (
+        <input
+          type="text"
+          className="share-link-url"
+          value={status.url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          aria-label="Share link"
+        />
+      )}
+      {linkErrors.length > 0 && (
+        <div className="scenario-errors" role="alert">
+          <strong>Could not open the shared scenario:</strong>
+          <ul>
+            {linkErrors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+          <button type="button" className="scenario-errors-dismiss" onClick={() => setLinkErrors([])}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ShareLinkControls
@@ -0,0 +1,54 @@
+import { SPEED_RANGE } from '../engine/scenario.js'
+
+// Slider values of the speed presets (the interval between iterations is 3000 - speed ms)
+const SPEED_PRESETS = [
+  { label: 'Slow', speed: 200 },
+  { label: 'Normal', speed: 1560 },
+  { label: 'Fast', speed: 2500 },
+  { label: 'Very fast', speed: SPEED_RANGE.max }
+]
+
+// Simulation speed: presets, a fine-grained slider and instant mode, which skips
+// straight to the final allocation. Works while the simulation is playing.
+function SpeedControls({ speed, instant, onSpeedChange, onInstantChange }) {
+  return (
+    <div className="weight-control speed-controls">
+      Simulation Speed:
+      <div className="speed-presets" role="group" aria-label="Speed presets">
+        {SPEED_PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            type="button"
+            className={`speed-preset ${!instant && speed === preset.speed ? 'active' : ''}`}
+            onClick={() => onSpeedChange(preset.speed)}
+            aria-pressed={!instant && speed === preset.speed}
+            title={`${3000 - preset.speed}ms between iterations`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`speed-preset ${instant ? 'active' : ''}`}
+          onClick={() => onInstantChange(true)}
+          aria-pressed={instant}
+          title="Run to the final allocation at once, without animation"
+        >
+          Instant
+        </button>
+      </div>
+      <input
+        type="range"
+        min={SPEED_RANGE.min}
+        max={SPEED_RANGE.max}
+        step="10"
+        value={speed}
+        onChange={(e) => onSpeedChange(parseInt(e.target.value))}
+        aria-label="Simulation speed"
+        title={`${3000 - speed}ms between iterations`}
+      />
+    </div>
+  )
+}
+
+export default SpeedControls
@@ -0,0 +1,320 @@
+import { useEffect, useRef, useState } from 'react'
+import { getLicenseCount } from '../engine/licensing.js'
+import { normalizeSeed } from '../engine/random.js'
+import { createEngineContext } from '../engine/scoring.js'
+import { getStrategy } from '../engine/strategies.js'
+import {
+  buildSweepCells,
+  DEFAULT_SWEEP_RANGES,
+  getLicenseGroupShare,
+  getSweepValues,
+  meetsSweepTarget,
+  recommendSweepCell
+} from '../engine/sweep.js'
+import { createSimulationClient } from '../workers/simulationClient.js'
+
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`
+
+// Heatmap fill: pale for 0, deep blue for the highest value on the map
+const heatColor = (value, max) => {
+  const strength = max > 0 ? value / max : 0
+  return `hsl(231, 70%, ${Math.round(96 - strength * 50)}%)`
+}
+
+// Min / max / step inputs for one swept value
+function RangeInputs({ label, range, onChange, min, max }) {
+  const field = (key) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step="0.05"
+      value={range[key]}
+      onChange={(e) => onChange({ ...range, [key]: parseFloat(e.target.value) })}
+      aria-label={`${label} ${key}`}
+    />
+  )
+  return (
+    <label className="comparison-weight sweep-range">
+      {label}: {field('min')} to {field('max')} step {field('step')}
+    </label>
+  )
+}
+
+// Sweep mode: run the batch simulation for every weight1 value (and decay constant)
+// in a range with the same seed set, show each provider's expected share of the
+// bookings and the Gini coefficient as heatmaps, and recommend the settings that
+// meet a target share for a license group. Roster, clinic day, strategy, tie-break
+// and demand are shared with the main simulator; runs go to a worker cell by cell.
+function SweepPanel({ providers, timeSlots, strategy, strategyParams, tieBreak, compareRawScores, demand, seed, onApply }) {
+  const hasDecay = getStrategy(strategy).params.some(param => param.key === 'decay')
+  const licenseCounts = [...new Set(providers.map(getLicenseCount))].sort((a, b) => a - b)
+  const [weightRange, setWeightRange] = useState(DEFAULT_SWEEP_RANGES.weight1)
+  const [decayRange, setDecayRange] = useState(DEFAULT_SWEEP_RANGES.decay)
+  const [sweepDecay, setSweepDecay] = useState(false)
+  const [runs, setRuns] = useState(20)
+  const [fillPercent, setFillPercent] = useState(50)
+  const [targetChoice, setTargetLicenses] = useState(null)
+  const [minSharePercent, setMinSharePercent] = useState(30)
+  const [maxGini, setMaxGini] = useState('')
+  const [progress, setProgress] = useState(null) // { done, total } while a sweep runs
+  const [sweep, setSweep] = useState(null) // { results, weight1Values, decayValues, seed, runs }
+  const [selectedDecay, setSelectedDecay] = useState(null)
+  const [error, setError] = useState(null)
+  const clientRef = useRef(null)
+  const sweepIdRef = useRef(0) // Bumped to cancel the sweep in progress
+
+  useEffect(() => {
+    const client = createSimulationClient()
+    clientRef.current = client
+    return () => {
+      client.terminate() // A sweep in progress never hears back
+      clientRef.current = null
+    }
+  }, [])
+
+  // The weight sliders go from 0.1 to 0.9, so the sweep stays within them
+  const weight1Values = getSweepValues(weightRange).filter(value => value >= 0.1 && value <= 0.9)
+  const decayValues = hasDecay && sweepDecay ? getSweepValues(decayRange).filter(value => value > 0) : [null]
+  const cellCount = weight1Values.length * decayValues.length
+
+  const runSweep = async () => {
+    const sweepId = ++sweepIdRef.current
+    const context = createEngineContext({
+      providers,
+      timeSlots,
+      weight1: 0.5,
+      weight2: 0.5,
+      strategy,
+      strategyParams,
+      tieBreak,
+      tieBreakSeed: seed,
+      compareRawScores
+    })
+    const maxBookings = Math.round(providers.length * timeSlots.length * fillPercent / 100)
+    const cells = buildSweepCells(weight1Values, decayValues)
+    const results = []
+    setError(null)
+    setProgress({ done: 0, total: cells.length })
+    try {
+      for (const cell of cells) {
+        const { result } = await clientRef.current.runSweepCell({ context, cell, runs, seed, maxBookings, demand })
+        if (sweepIdRef.current !== sweepId) return
+        results.push(result)
+        setProgress({ done: results.length, total: cells.length })
+      }
+      setSweep({ results, weight1Values, decayValues, seed, runs, maxBookings })
+      setSelectedDecay(decayValues[0])
+    } catch (sweepError) {
+      if (sweepIdRef.current === sweepId) setError(sweepError.message)
+    } finally {
+      if (sweepIdRef.current === sweepId) setProgress(null)
+    }
+  }
+
+  const cancelSweep = () => {
+    sweepIdRef.current++
+    setProgress(null)
+  }
+
+  // The chosen license count, or the smallest on the roster once edits have removed it
+  const targetLicenses = licenseCounts.includes(targetChoice) ? targetChoice : (licenseCounts[0] ?? 1)
+  const target = {
+    licenses: targetLicenses,
+    minShare: minSharePercent === '' ? null : minSharePercent / 100,
+    maxGini: maxGini === '' ? null : maxGini
+  }
+  const recommendation = sweep && recommendSweepCell(sweep.results, providers, target)
+  const resultAt = (weight1, decay) => sweep.results.find(r => r.weight1 === weight1 && r.decay === decay)
+  const decayLabel = (decay) => (decay === null ? `decay ${strategyParams.decay ?? '-'}` : `decay ${decay}`)
+  const maxShare = sweep ? Math.max(...sweep.results.flatMap(r => Object.values(r.shares))) : 0
+  const maxSweepGini = sweep ? Math.max(...sweep.results.map(r => r.gini)) : 0
+
+  return (
+    <div className="table-container comparison-panel sweep-panel">
+      <div className="comparison-controls">
+        <RangeInputs label="Weight 1" range={weightRange} onChange={setWeightRange} min="0.1" max="0.9" />
+        {hasDecay && (
+          <label className="comparison-weight">
+            <input type="checkbox" checked={sweepDecay} onChange={(e) => setSweepDecay(e.target.checked)} />
+            Sweep decay too
+          </label>
+        )}
+        {hasDecay && sweepDecay && (
+          <RangeInputs label="Decay" range={decayRange} onChange={setDecayRange} min="0.1" max="3" />
+        )}
+        <label className="comparison-weight">
+          Runs per cell:
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={runs}
+            onChange={(e) => setRuns(Math.max(1, Math.min(1000, parseInt(e.target.value) || 1)))}
+          />
+        </label>
+        <label className="comparison-weight">
+          Bookings (% of grid):
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={fillPercent}
+            onChange={(e) => setFillPercent(Math.max(1, Math.min(100, parseInt(e.target.value) || 1)))}
+          />
+        </label>
+        {progress ? (
+          <button type="button" className="sim-button end-button" onClick={cancelSweep}>
+            ■ Cancel ({progress.done}/{progress.total})
+          </button>
+        ) : (
+          <button type="button" className="sim-button play-button" onClick={runSweep} disabled={cellCount === 0}>
+            ▶ Run sweep ({cellCount} {cellCount === 1 ? 'cell' : 'cells'})
+          </button>
+        )}
+      </div>
+      <p className="comparison-note">
+        Every cell uses seeds <strong>{normalizeSeed(seed)}</strong> to <strong>{normalizeSeed(seed + runs - 1)}</strong>, so all of them see the same demand.
+        {!getStrategy(strategy).usesWeights && ' The active scoring strategy ignores the weights, so every column will match.'}
+      </p>
+      {error && <p className="simulation-error" role="alert">The sweep stopped: {error}</p>}
+
+      <div className="comparison-controls sweep-target">
+        <label className="comparison-weight">
+          Target: providers with
+          <select value={targetLicenses} onChange={(e) => setTargetLicenses(Number(e.target.value))}>
+            {licenseCounts.map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+          {targetLicenses === 1 ? 'license' : 'licenses'} get at least
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={minSharePercent}
+            onChange={(e) => setMinSharePercent(e.target.value === '' ? '' : Math.max(0, Math.min(100, parseFloat(e.target.value))))}
+          />
+          % of bookings
+        </label>
+        <label className="comparison-weight">
+          and Gini at most
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.01"
+            placeholder="any"
+            value={maxGini}
+            onChange={(e) => setMaxGini(e.target.value === '' ? '' : parseFloat(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {sweep && (
+        <>
+          {recommendation ? (
+            <p className="sweep-recommendation">
+              Recommended: weight 1 <strong>{recommendation.weight1}</strong> / weight 2 <strong>{Math.round((1 - recommendation.weight1) * 1000) / 1000}</strong>
+              {recommendation.decay !== null && <>, decay <strong>{recommendation.decay}</strong></>}
+              {' '}- {formatPercent(getLicenseGroupShare(recommendation, providers, targetLicenses))} of bookings to {targetLicenses}-license providers,
+              Gini {recommendation.gini.toFixed(3)} (the fairest cell that meets the target).
+              <button type="button" className="scenario-button" onClick={() => onApply(recommendation)}>
+                Use these settings
+              </button>
+            </p>
+          ) : (
+            <p className="sweep-recommendation none">No cell in this sweep meets the target. Try a wider range or a lower target.</p>
+          )}
+
+          {sweep.decayValues.length > 1 && (
+            <>
+              <h4>Gini coefficient by weight 1 and decay (click a row for its provider shares)</h4>
+              <table className="sweep-heatmap">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {sweep.weight1Values.map((weight1) => (
+                      <th key={weight1}>{weight1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sweep.decayValues.map((decay) => (
+                    <tr
+                      key={decay}
+                      className={decay === selectedDecay ? 'selected' : ''}
+                      onClick={() => setSelectedDecay(decay)}
+                    >
+                      <th>{decayLabel(decay)}</th>
+                      {sweep.weight1Values.map((weight1) => {
+                        const result = resultAt(weight1, decay)
+                        return (
+                          <td
+                            key={weight1}
+                            className={`${meetsSweepTarget(result, providers, target) ? 'meets-target' : ''} ${result === recommendation ? 'recommended' : ''}`}
+                            style={{ background: heatColor(result.gini, maxSweepGini) }}
+                          >
+                            {result.gini.toFixed(3)}
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <h4>
+            Expected share of bookings by weight 1 ({decayLabel(selectedDecay)}, {sweep.runs} runs of {sweep.maxBookings} bookings per cell)
+          </h4>
+          <table className="sweep-heatmap">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                {sweep.weight1Values.map((weight1) => (
+                  <th key={weight1}>{weight1}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {providers.map((provider) => (
+                <tr key={provider.id}>
+                  <th>{provider.name} ({getLicenseCount(provider)})</th>
+                  {sweep.weight1Values.map((weight1) => {
+                    const share = resultAt(weight1, selectedDecay).shares[provider.id]
+                    return (
+                      <td key={weight1} style={{ background: heatColor(share ?? 0, maxShare) }}>
+                        {share === undefined ? '-' : formatPercent(share)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+              <tr className="sweep-gini-row">
+                <th>Gini coefficient</th>
+                {sweep.weight1Values.map((weight1) => {
+                  const result = resultAt(weight1, selectedDecay)
+                  return (
+                    <td
+                      key={weight1}
+                      className={`${meetsSweepTarget(result, providers, target) ? 'meets-target' : ''} ${result === recommendation ? 'recommended' : ''}`}
+                    >
+                      {result.gini.toFixed(3)}
+                    </td>
+                  )
+                })}
+              </tr>
+            </tbody>
+          </table>
+          <p className="comparison-note">
+            Outlined cells meet the target; the recommended one is marked in bold. Providers added since the sweep show "-".
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SweepPanel
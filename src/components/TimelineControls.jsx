@@ -0,0 +1,91 @@
+import { useEffect } from 'react'
+import { canRedo, canUndo } from '../engine/timeline.js'
+import { formatTruncatedScore } from '../engine/scoring.js'
+
+// Skip keyboard shortcuts while the user is typing in a form field
+const isEditableTarget = (target) => {
+  return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) && target.type !== 'checkbox'
+}
+
+// One-line summary of the event at a cursor position (1-based)
+const describeEvent = (event, providers, timeSlots, formatSlot) => {
+  const provider = providers.find(p => p.id === event.providerId)
+  const slot = timeSlots.find(s => s.id === event.slotId)
+  const who = provider ? provider.name : `Provider ${event.providerId}`
+  const when = slot ? formatSlot(slot) : event.slotId
+  const action = event.selected ? 'booked' : 'unbooked'
+  const origin = event.iteration === null ? 'Manual toggle' : `Iteration ${event.iteration}`
+  const score = typeof event.score === 'number' ? ` (score ${formatTruncatedScore(event.score)})` : ''
+  const patient = event.patientState ? ` for a patient in ${event.patientState}` : ''
+  return `${origin}: ${who} ${action} at ${when}${patient}${score}`
+}
+
+// Replay the booking log: scrub to any point, step one event at a time, and
+// undo/redo manual toggles (also Ctrl+Z / Ctrl+Shift+Z or Ctrl+Y).
+// formatSlot labels a slot in the grid's display time zone.
+function TimelineControls({ timeline, providers, timeSlots, formatSlot, onSeek }) {
+  const { events, position } = timeline
+  const undoable = canUndo(timeline)
+  const redoable = canRedo(timeline)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey && undoable) {
+        e.preventDefault()
+        onSeek(position - 1)
+      } else if (((key === 'z' && e.shiftKey) || key === 'y') && redoable) {
+        e.preventDefault()
+        onSeek(position + 1)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [position, undoable, redoable, onSeek])
+
+  const currentEvent = events[position - 1]
+
+  return (
+    <div className="timeline-controls">
+      <div className="timeline-buttons">
+        <button type="button" onClick={() => onSeek(0)} disabled={position === 0} title="Go to the start">
+          ⏮
+        </button>
+        <button type="button" onClick={() => onSeek(position - 1)} disabled={position === 0} title="Step back one event">
+          ◀
+        </button>
+        <button type="button" onClick={() => onSeek(position + 1)} disabled={position === events.length} title="Step forward one event">
+          ▶
+        </button>
+        <button type="button" onClick={() => onSeek(events.length)} disabled={position === events.length} title="Go to the latest event">
+          ⏭
+        </button>
+        <button type="button" onClick={() => onSeek(position - 1)} disabled={!undoable} title="Undo the last manual toggle (Ctrl+Z)">
+          ↶ Undo
+        </button>
+        <button type="button" onClick={() => onSeek(position + 1)} disabled={!redoable} title="Redo the next manual toggle (Ctrl+Shift+Z)">
+          ↷ Redo
+        </button>
+      </div>
+      <label className="timeline-scrubber">
+        Event {position} of {events.length}
+        <input
+          type="range"
+          min="0"
+          max={events.length}
+          step="1"
+          value={position}
+          onChange={(e) => onSeek(parseInt(e.target.value))}
+          disabled={events.length === 0}
+        />
+      </label>
+      <p className="timeline-event">
+        {currentEvent ? describeEvent(currentEvent, providers, timeSlots, formatSlot) : 'Start of the log: no bookings yet'}
+        {position < events.length && ` - ${events.length - position} later event(s) will be discarded if you book now`}
+      </p>
+    </div>
+  )
+}
+
+export default TimelineControls
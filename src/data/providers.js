@@ -0,0 +1,10 @@
+// Sample healthcare providers with different state licenses (licenses is the count of states)
+export const initialProviders = [
+  { id: 1, name: 'NP Smith', licenses: 3, states: ['NY', 'NJ', 'CT'] },
+  { id: 2, name: 'NP Johnson', licenses: 2, states: ['CA', 'NV'] },
+  { id: 3, name: 'NP Williams', licenses: 5, states: ['CA', 'OR', 'WA', 'NV', 'AZ'] },
+  { id: 4, name: 'NP Brown', licenses: 1, states: ['CA'] },
+  { id: 5, name: 'NP Davis', licenses: 4, states: ['TX', 'OK', 'LA', 'AR'] },
+  { id: 6, name: 'NP Anderson', licenses: 10, states: ['NY', 'NJ', 'PA', 'MA', 'CT', 'FL', 'GA', 'NC', 'VA', 'MD'] },
+  { id: 7, name: 'NP Taylor', licenses: 15, states: ['CA', 'TX', 'FL', 'NY', 'IL', 'OH', 'MI', 'PA', 'GA', 'NC', 'WA', 'AZ', 'CO', 'MN', 'WI'] }
+]
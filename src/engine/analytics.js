@@ -0,0 +1,58 @@
+// Live metrics for the analytics dashboard, derived from the booking event log so
+// they follow the timeline as it plays, steps or scrubs.
+
+import { countSelectedSlots, createScoreCache, getAvailableSlotCount, updateScoreCache } from './scoring.js'
+import { giniCoefficient } from './stats.js'
+
+// Booked slots against the slots each provider is available for:
+//   [{ id, booked, capacity, utilization }] with utilization in 0-1
+export const getUtilization = (selection, context) => {
+  return context.providers.map(provider => {
+    const booked = countSelectedSlots(selection, provider.id)
+    const capacity = getAvailableSlotCount(context, provider.id)
+    return { id: provider.id, booked, capacity, utilization: capacity > 0 ? booked / capacity : 0 }
+  })
+}
+
+// Slots each provider is available for: { providerId: count }
+const getCapacities = (context) => {
+  return Object.fromEntries(context.providers.map(provider => [provider.id, getAvailableSlotCount(context, provider.id)]))
+}
+
+// Open cells left by booked counts ({ providerId: n }) against capacities
+const countOpenCells = (bookedCounts, capacities) => {
+  return Object.keys(capacities).reduce((sum, providerId) => sum + Math.max(0, capacities[providerId] - (bookedCounts[providerId] || 0)), 0)
+}
+
+// Open provider-slot cells: every slot a provider is available for and not yet booked in
+export const countUnfilledSlots = (selection, context) => {
+  const bookedCounts = Object.fromEntries(context.providers.map(provider => [provider.id, countSelectedSlots(selection, provider.id)]))
+  return countOpenCells(bookedCounts, getCapacities(context))
+}
+
+// Snapshot of the board's metrics from a score cache; only reads the cache's counts,
+// so each point costs O(providers) however many slots are booked
+const measure = (cache, context, capacities) => {
+  return {
+    scores: cache.scores,
+    gini: giniCoefficient(context.providers.map(provider => cache.bookedCounts[provider.id])),
+    unfilled: countOpenCells(cache.bookedCounts, capacities)
+  }
+}
+
+// Metrics over time: one point for the empty board, then one after each simulation
+// iteration or manual toggle among the events (scored with the current settings).
+//   [{ scores: { providerId: score }, gini, unfilled }]
+export const buildTrajectories = (events, context) => {
+  const capacities = getCapacities(context)
+  let cache = createScoreCache({}, context) // Replayed one event at a time
+  const points = [measure(cache, context, capacities)]
+  events.forEach((event, index) => {
+    cache = updateScoreCache(cache, event.providerId, event.slotId, event.selected, context)
+    // Events of one simulation iteration are recorded back to back
+    const next = events[index + 1]
+    if (event.iteration !== null && next?.iteration === event.iteration) return
+    points.push(measure(cache, context, capacities))
+  })
+  return points
+}
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildTrajectories, countUnfilledSlots, getUtilization } from './analytics.js'
+import { createEngineContext, createScoreCache } from './scoring.js'
+import { giniCoefficient } from './stats.js'
+import { createSelectionEvent, replayEvents } from './timeline.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+// The default clinic day: 18 ten-minute slots from 10:00 to 13:00
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+const providers = [
+  { id: 1, name: 'A', licenses: 1 },
+  { id: 2, name: 'B', licenses: 3, availability: { blockedSlots: timeSlots.slice(0, 6).map(slot => slot.id) } }
+]
+const context = createEngineContext({ providers, timeSlots, weight1: 0.8, weight2: 0.2 })
+
+const events = [
+  createSelectionEvent(1, timeSlots[0].id, true, 1, 1),
+  createSelectionEvent(2, timeSlots[6].id, true, 1, 1),
+  createSelectionEvent(1, timeSlots[1].id, true, 2, 1),
+  createSelectionEvent(1, timeSlots[0].id, false, null, 1),
+  createSelectionEvent(2, timeSlots[7].id, true, null, 1)
+]
+
+describe('utilization', () => {
+  it('measures bookings against the slots each provider is available for', () => {
+    const selection = replayEvents(events)
+    assert.deepEqual(getUtilization(selection, context), [
+      { id: 1, booked: 1, capacity: 18, utilization: 1 / 18 },
+      { id: 2, booked: 2, capacity: 12, utilization: 2 / 12 }
+    ])
+    assert.equal(countUnfilledSlots(selection, context), 17 + 10)
+  })
+})
+
+describe('buildTrajectories', () => {
+  const points = buildTrajectories(events, context)
+
+  it('adds a point for the empty board, each iteration and each manual toggle', () => {
+    assert.equal(points.length, 1 + 2 + 2)
+    assert.equal(points[0].unfilled, 30)
+    assert.equal(points[0].gini, 0)
+  })
+
+  it('matches the metrics of the replayed board at every point', () => {
+    const ends = [0, 2, 3, 4, 5]
+    points.forEach((point, index) => {
+      const selection = replayEvents(events.slice(0, ends[index]))
+      const cache = createScoreCache(selection, context)
+      assert.equal(point.unfilled, countUnfilledSlots(selection, context))
+      assert.equal(point.gini, giniCoefficient(providers.map(provider => cache.bookedCounts[provider.id])))
+      assert.deepEqual(point.scores, cache.scores)
+    })
+  })
+})
@@ -0,0 +1,165 @@
+// Per-provider availability masks.
+// A provider may carry an `availability` object; anything it doesn't mention is open,
+// and a shift or break without both a start and an end is ignored:
+//   {
+//     shift: { start: '08:00', end: '16:00' },      // working hours each day
+//     breaks: [{ start: '12:00', end: '12:30' }],   // daily breaks such as lunch
+//     ptoDates: ['2024-01-03'],                     // whole days off
+//     blockedSlots: ['2024-01-01-10-40']            // one-off blocked slot IDs
+//   }
+// Shift, break and PTO times are UTC like the slots, unless the provider has a
+// homeTimeZone (e.g. 'America/Chicago'): then they are local times there, and without
+// a shift the provider works DEFAULT_LOCAL_HOURS, so slots in their night are blocked.
+
+import { DEFAULT_LOCAL_HOURS, getLocalSlotTime } from './timeZones.js'
+
+// "10:40" -> 640
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Whether a value is a real calendar date written YYYY-MM-DD ("2024-02-30" is not)
+export const isDateString = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
+
+// Problems with a shift or break window; either end may be left empty while editing
+const validateWindow = (window, path) => {
+  if (window === null || typeof window !== 'object' || Array.isArray(window)) {
+    return [`${path} must be an object with a start and an end`]
+  }
+  const errors = []
+  ;['start', 'end'].forEach((key) => {
+    if (window[key] !== undefined && window[key] !== '' && !TIME_PATTERN.test(window[key])) {
+      errors.push(`${path}.${key} must be an HH:MM time such as "08:00", got ${JSON.stringify(window[key])}`)
+    }
+  })
+  if (errors.length === 0 && window.start && window.end && timeToMinutes(window.start) >= timeToMinutes(window.end)) {
+    errors.push(`${path}.start (${window.start}) must be before its end (${window.end})`)
+  }
+  return errors
+}
+
+// Problems with a provider's availability object, for scenario validation.
+// slotIds is the Set of the clinic day's slot IDs, or null to skip that check.
+export const validateAvailability = (availability, path, slotIds = null) => {
+  if (availability === null || typeof availability !== 'object' || Array.isArray(availability)) {
+    return [`${path} must be an object`]
+  }
+  const errors = []
+  const { shift, breaks, ptoDates, blockedSlots } = availability
+  if (shift !== undefined) {
+    errors.push(...validateWindow(shift, `${path}.shift`))
+  }
+  if (breaks !== undefined) {
+    if (!Array.isArray(breaks)) {
+      errors.push(`${path}.breaks must be an array`)
+    } else {
+      breaks.forEach((window, index) => errors.push(...validateWindow(window, `${path}.breaks[${index}]`)))
+    }
+  }
+  if (ptoDates !== undefined) {
+    if (!Array.isArray(ptoDates)) {
+      errors.push(`${path}.ptoDates must be an array`)
+    } else {
+      ptoDates.forEach((date, index) => {
+        if (!isDateString(date)) {
+          errors.push(`${path}.ptoDates[${index}] must be a YYYY-MM-DD date, got ${JSON.stringify(date)}`)
+        }
+      })
+    }
+  }
+  if (blockedSlots !== undefined) {
+    if (!Array.isArray(blockedSlots)) {
+      errors.push(`${path}.blockedSlots must be an array`)
+    } else {
+      blockedSlots.forEach((slotId, index) => {
+        if (typeof slotId !== 'string') {
+          errors.push(`${path}.blockedSlots[${index}] must be a slot ID string, got ${JSON.stringify(slotId)}`)
+        } else if (slotIds && !slotIds.has(slotId)) {
+          errors.push(`${path}.blockedSlots[${index}] "${slotId}" is not a slot of the clinic day`)
+        }
+      })
+    }
+  }
+  return errors
+}
+
+// Why a provider can't take a slot: 'pto', 'shift', 'localHours' (outside the default
+// hours of their home time zone), 'break' or 'blocked', or null if they can
+export const getUnavailableReason = (provider, slot) => {
+  const { homeTimeZone } = provider
+  const availability = provider.availability || {}
+  if (!homeTimeZone && !provider.availability) return null
+
+  // The slot on the provider's clock; a slot may run past their midnight
+  const local = homeTimeZone ? getLocalSlotTime(slot, homeTimeZone) : { date: slot.date, minuteOfDay: timeToMinutes(slot.time) }
+  if (availability.ptoDates?.includes(local.date)) return 'pto'
+
+  const slotStart = local.minuteOfDay
+  const slotEnd = slotStart + timeToMinutes(slot.endTime) - timeToMinutes(slot.time)
+  const isComplete = (window) => Boolean(window?.start && window?.end)
+  const outside = (window) => slotStart < timeToMinutes(window.start) || slotEnd > timeToMinutes(window.end)
+  const { shift } = availability
+  if (isComplete(shift)) {
+    if (outside(shift)) return 'shift'
+  } else if (homeTimeZone && outside(DEFAULT_LOCAL_HOURS)) {
+    return 'localHours'
+  }
+
+  const overlapsBreak = (availability.breaks || []).filter(isComplete).some(({ start, end }) => {
+    return slotStart < timeToMinutes(end) && slotEnd > timeToMinutes(start)
+  })
+  if (overlapsBreak) return 'break'
+
+  if (availability.blockedSlots?.includes(slot.id)) return 'blocked'
+
+  return null
+}
+
+// Human-readable labels for the reasons above
+export const UNAVAILABLE_REASON_LABELS = {
+  pto: 'PTO',
+  shift: 'Outside shift',
+  localHours: 'Outside local hours',
+  break: 'On break',
+  blocked: 'Blocked'
+}
+
+// Work out every provider's blocked slots and available-slot count for a slot list:
+// { providerId: { blocked: { slotId: reason }, availableCount } }
+export const buildAvailability = (providers, timeSlots) => {
+  return Object.fromEntries(providers.map(provider => {
+    const blocked = {}
+    timeSlots.forEach(slot => {
+      const reason = getUnavailableReason(provider, slot)
+      if (reason) blocked[slot.id] = reason
+    })
+    const availableCount = timeSlots.length - Object.keys(blocked).length
+    return [provider.id, { blocked, availableCount }]
+  }))
+}
+
+// Return a copy of a provider's availability with one slot blocked or unblocked
+export const toggleBlockedSlot = (availability = {}, slotId) => {
+  const blockedSlots = availability.blockedSlots || []
+  return {
+    ...availability,
+    blockedSlots: blockedSlots.includes(slotId)
+      ? blockedSlots.filter(id => id !== slotId)
+      : [...blockedSlots, slotId]
+  }
+}
+
+// A provider's availability without blocked slots that aren't in a slot list, e.g.
+// after the clinic day changes; other fields are left as they are
+export const keepBlockedSlotsIn = (availability, timeSlots) => {
+  if (!availability?.blockedSlots) return availability
+  const slotIds = new Set(timeSlots.map(slot => slot.id))
+  return { ...availability, blockedSlots: availability.blockedSlots.filter(slotId => slotIds.has(slotId)) }
+}
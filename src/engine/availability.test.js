@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildAvailability, getUnavailableReason, isDateString, keepBlockedSlotsIn, toggleBlockedSlot, validateAvailability } from './availability.js'
+import { generateTimeSlots } from './timeSlots.js'
+
+// Jan 1 2024, 08:00 to 18:00 UTC in hour slots
+const timeSlots = generateTimeSlots({ startDate: '2024-01-01', days: 2, skipWeekends: true, startHour: 8, endHour: 18, intervalMinutes: 60 })
+const slotAt = (id) => timeSlots.find(slot => slot.id === id)
+
+describe('getUnavailableReason', () => {
+  it('leaves a provider without availability open all day', () => {
+    assert.ok(timeSlots.every(slot => getUnavailableReason({ id: 1 }, slot) === null))
+  })
+
+  it('blocks slots outside the shift and during breaks', () => {
+    const provider = { id: 1, availability: { shift: { start: '09:00', end: '17:00' }, breaks: [{ start: '12:30', end: '13:00' }] } }
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-8-0')), 'shift')
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-9-0')), null)
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-12-0')), 'break') // 12:00-13:00 overlaps the break
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-16-0')), null) // Ends exactly at the end of the shift
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-17-0')), 'shift')
+  })
+
+  it('ignores a window until both ends are set', () => {
+    const provider = { id: 1, availability: { shift: { start: '12:00', end: '' } } }
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-8-0')), null)
+  })
+
+  it('blocks whole PTO days and one-off blocked slots', () => {
+    const provider = { id: 1, availability: { ptoDates: ['2024-01-02'], blockedSlots: ['2024-01-01-10-0'] } }
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-02-9-0')), 'pto')
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-10-0')), 'blocked')
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-11-0')), null)
+  })
+
+  it('reads hours in the provider\'s home time zone', () => {
+    // 08:00 UTC is 02:00 in Chicago, outside the default local hours
+    const provider = { id: 1, homeTimeZone: 'America/Chicago' }
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-8-0')), 'localHours')
+    assert.equal(getUnavailableReason(provider, slotAt('2024-01-01-15-0')), null) // 09:00 local
+    const withShift = { ...provider, availability: { shift: { start: '10:00', end: '12:00' } } }
+    assert.equal(getUnavailableReason(withShift, slotAt('2024-01-01-15-0')), 'shift')
+    assert.equal(getUnavailableReason(withShift, slotAt('2024-01-01-16-0')), null)
+  })
+})
+
+describe('buildAvailability', () => {
+  it('collects blocked slots and counts the rest', () => {
+    const availability = buildAvailability([{ id: 1, availability: { ptoDates: ['2024-01-02'] } }, { id: 2 }], timeSlots)
+    assert.equal(availability[1].availableCount, 10)
+    assert.equal(Object.keys(availability[1].blocked).length, 10)
+    assert.equal(availability[2].availableCount, 20)
+  })
+})
+
+describe('blocked slot editing', () => {
+  it('toggles a slot and keeps only slots of a new clinic day', () => {
+    const blocked = toggleBlockedSlot(toggleBlockedSlot(undefined, '2024-01-01-8-0'), '2024-01-05-8-0')
+    assert.deepEqual(blocked.blockedSlots, ['2024-01-01-8-0', '2024-01-05-8-0'])
+    assert.deepEqual(toggleBlockedSlot(blocked, '2024-01-01-8-0').blockedSlots, ['2024-01-05-8-0'])
+    assert.deepEqual(keepBlockedSlotsIn(blocked, timeSlots).blockedSlots, ['2024-01-01-8-0'])
+  })
+})
+
+describe('PTO dates', () => {
+  it('accepts only real calendar dates', () => {
+    assert.equal(isDateString('2024-02-29'), true)
+    assert.equal(isDateString('2024-13-45'), false)
+    assert.equal(isDateString('2024-02-30'), false)
+    assert.equal(isDateString('2023-02-29'), false)
+    assert.equal(isDateString('2024-1-05'), false)
+    assert.equal(isDateString(20240105), false)
+  })
+
+  it('reports impossible dates when validating availability', () => {
+    const errors = validateAvailability({ ptoDates: ['2024-01-02', '2024-13-45'] }, 'providers[0].availability')
+    assert.deepEqual(errors, ['providers[0].availability.ptoDates[1] must be a YYYY-MM-DD date, got "2024-13-45"'])
+  })
+})
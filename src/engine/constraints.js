@@ -0,0 +1,100 @@
+// Per-provider hard limits on bookings, on top of the score.
+// A provider may carry a `limits` object; a limit it leaves out doesn't apply:
+//   {
+//     maxPerDay: 6,        // at most this many bookings on any one day
+//     maxConsecutive: 3,   // at most this many back-to-back slots
+//     breakAfter: 4,       // after this many appointments a break is due...
+//     breakLength: 2,      // ...of this many free slots (default 1)
+//     minGuaranteed: 3     // until this many are booked, the provider goes ahead of everyone else
+//   }
+// Unlike availability masks these depend on the bookings so far, so they are checked
+// against the selection each time a slot's winner is decided.
+
+// Editable limits with their smallest allowed value, in roster column order
+export const LIMIT_FIELDS = [
+  { key: 'maxPerDay', label: 'Max per day', min: 1 },
+  { key: 'maxConsecutive', label: 'Max in a row', min: 1 },
+  { key: 'breakAfter', label: 'Break after', min: 1 },
+  { key: 'breakLength', label: 'Break length (slots)', min: 1 },
+  { key: 'minGuaranteed', label: 'Min guaranteed', min: 1 }
+]
+
+// Why a limit rules a slot out, for the grid and the explain panel
+export const CONSTRAINT_LABELS = {
+  dailyCap: 'Daily cap',
+  consecutive: 'Max in a row',
+  breakDue: 'Break due'
+}
+
+// Where each slot sits in its day, so limits can look at neighbouring slots:
+//   { byId: { slotId: { date, index } }, byDate: { date: [slotId, ...] } }
+export const buildSlotPositions = (timeSlots) => {
+  const byId = {}
+  const byDate = {}
+  timeSlots.forEach(slot => {
+    if (!byDate[slot.date]) byDate[slot.date] = []
+    byId[slot.id] = { date: slot.date, index: byDate[slot.date].length }
+    byDate[slot.date].push(slot.id)
+  })
+  return { byId, byDate }
+}
+
+// Number of bookings in the group around index, where bookings no more than
+// maxDistance slots apart belong to the same group
+const groupSize = (bookedIndexes, index, maxDistance) => {
+  let size = 1
+  for (const step of [-1, 1]) {
+    let last = index
+    for (let i = index + step; Math.abs(i - last) <= maxDistance; i += step) {
+      if (bookedIndexes.has(i)) {
+        size++
+        last = i
+      }
+    }
+  }
+  return size
+}
+
+// Which limit stops a provider from taking one more slot: 'dailyCap', 'consecutive',
+// 'breakDue' or null when booking it keeps every limit. The slot itself is assumed open.
+export const getConstraintBlock = (provider, slotId, selection, context) => {
+  const limits = provider.limits
+  if (!limits) return null
+  const position = context.slotPositions.byId[slotId]
+  if (!position) return null
+
+  const providerSelection = selection[provider.id] || {}
+  const bookedIndexes = new Set()
+  context.slotPositions.byDate[position.date].forEach((id, index) => {
+    if (providerSelection[id]) bookedIndexes.add(index)
+  })
+
+  if (limits.maxPerDay && bookedIndexes.size >= limits.maxPerDay) return 'dailyCap'
+  if (limits.maxConsecutive && groupSize(bookedIndexes, position.index, 1) > limits.maxConsecutive) return 'consecutive'
+  // Fewer free slots than the break length between two bookings keeps them in one stretch of work
+  if (limits.breakAfter && groupSize(bookedIndexes, position.index, (limits.breakLength || 1)) > limits.breakAfter) return 'breakDue'
+  return null
+}
+
+// Slots a provider is guaranteed (0 for none). Until they have that many, they go
+// ahead of every provider who has reached theirs or has no guarantee.
+export const getMinGuaranteed = (provider) => {
+  return provider.limits?.minGuaranteed || 0
+}
+
+// Problems with a provider's limits object, for scenario validation
+export const validateLimits = (limits, path) => {
+  if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+    return [`${path} must be an object`]
+  }
+  const errors = []
+  Object.entries(limits).forEach(([key, value]) => {
+    const field = LIMIT_FIELDS.find(f => f.key === key)
+    if (!field) {
+      errors.push(`${path}.${key} is not a limit (expected ${LIMIT_FIELDS.map(f => f.key).join(', ')})`)
+    } else if (!Number.isInteger(value) || value < field.min) {
+      errors.push(`${path}.${key} must be an integer of at least ${field.min}`)
+    }
+  })
+  return errors
+}
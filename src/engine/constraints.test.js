@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildSlotPositions, getConstraintBlock, getMinGuaranteed, validateLimits } from './constraints.js'
+import { createEngineContext, getSlotDecision } from './scoring.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+// Two clinic days of 18 ten-minute slots from 10:00 to 13:00
+const timeSlots = generateTimeSlots({ ...defaultSlotConfig, days: 2 })
+const day1 = timeSlots.filter(slot => slot.date === '2024-01-01').map(slot => slot.id)
+const day2 = timeSlots.filter(slot => slot.date === '2024-01-02').map(slot => slot.id)
+const context = { slotPositions: buildSlotPositions(timeSlots) }
+
+const withLimits = (limits) => ({ id: 1, name: 'A', licenses: 1, limits })
+// Provider 1 booked into the slots of day 1 at the given indexes
+const bookedAt = (...indexes) => ({ 1: Object.fromEntries(indexes.map(index => [day1[index], true])) })
+const blockAt = (limits, selection, index, day = day1) => getConstraintBlock(withLimits(limits), day[index], selection, context)
+
+describe('buildSlotPositions', () => {
+  it('numbers slots within their own day', () => {
+    const { byId, byDate } = context.slotPositions
+    assert.deepEqual(byId[day2[3]], { date: '2024-01-02', index: 3 })
+    assert.deepEqual(byDate['2024-01-01'], day1)
+  })
+})
+
+describe('getConstraintBlock', () => {
+  it('lets providers without limits take any slot', () => {
+    assert.equal(getConstraintBlock({ id: 1 }, day1[0], bookedAt(1, 2, 3), context), null)
+    assert.equal(blockAt({ maxPerDay: 1 }, bookedAt(0), 0, ['not-a-slot']), null)
+  })
+
+  it('caps bookings per day', () => {
+    assert.equal(blockAt({ maxPerDay: 2 }, bookedAt(0, 5), 10), 'dailyCap')
+    assert.equal(blockAt({ maxPerDay: 2 }, bookedAt(0, 5), 10, day2), null)
+    assert.equal(blockAt({ maxPerDay: 3 }, bookedAt(0, 5), 10), null)
+  })
+
+  it('counts a slot joining two runs of bookings towards max in a row', () => {
+    assert.equal(blockAt({ maxConsecutive: 2 }, bookedAt(3, 4), 5), 'consecutive')
+    assert.equal(blockAt({ maxConsecutive: 2 }, bookedAt(3, 4), 2), 'consecutive')
+    assert.equal(blockAt({ maxConsecutive: 2 }, bookedAt(3, 4), 6), null)
+    assert.equal(blockAt({ maxConsecutive: 2 }, bookedAt(3, 5), 4), 'consecutive')
+    assert.equal(blockAt({ maxConsecutive: 3 }, bookedAt(3, 5), 4), null)
+  })
+
+  it('requires a break of breakLength free slots after breakAfter bookings', () => {
+    const worked = bookedAt(0, 1, 2)
+    assert.equal(blockAt({ breakAfter: 3 }, worked, 3), 'breakDue')
+    assert.equal(blockAt({ breakAfter: 3 }, worked, 4), null) // One free slot is the default break
+    assert.equal(blockAt({ breakAfter: 3, breakLength: 2 }, worked, 4), 'breakDue')
+    assert.equal(blockAt({ breakAfter: 3, breakLength: 2 }, worked, 5), null)
+  })
+
+  it('measures the stretch of work on both sides of a slot', () => {
+    // Bookings at 0-1 and 4-5: slot 3 leaves a gap of 1 on its left, shorter than the break
+    const split = bookedAt(0, 1, 4, 5)
+    assert.equal(blockAt({ breakAfter: 4, breakLength: 2 }, split, 3), 'breakDue')
+    assert.equal(blockAt({ breakAfter: 5, breakLength: 2 }, split, 3), null)
+    assert.equal(blockAt({ breakAfter: 4, breakLength: 1 }, split, 3), null)
+  })
+
+  it('reports the daily cap before the other limits', () => {
+    assert.equal(blockAt({ maxPerDay: 2, maxConsecutive: 1, breakAfter: 1 }, bookedAt(3, 4), 5), 'dailyCap')
+  })
+})
+
+describe('limits in slot decisions', () => {
+  it('leaves a provider at a limit out of the candidates', () => {
+    const providers = [
+      { id: 1, name: 'Capped', licenses: 1, limits: { maxPerDay: 2 } },
+      { id: 2, name: 'Other', licenses: 9 }
+    ]
+    const engineContext = createEngineContext({ providers, timeSlots, weight1: 0.8, weight2: 0.2 })
+    const decision = getSlotDecision(day1[10], bookedAt(0, 5), engineContext)
+    assert.deepEqual(decision.candidates.map(c => c.id), [2])
+  })
+
+  it('puts providers short of their guarantee first', () => {
+    assert.equal(getMinGuaranteed(withLimits({ minGuaranteed: 3 })), 3)
+    assert.equal(getMinGuaranteed({ id: 2 }), 0)
+    const providers = [
+      { id: 1, name: 'Guaranteed', licenses: 9, limits: { minGuaranteed: 1 } },
+      { id: 2, name: 'Best score', licenses: 1 }
+    ]
+    const engineContext = createEngineContext({ providers, timeSlots, weight1: 0.8, weight2: 0.2 })
+    assert.equal(getSlotDecision(day1[0], {}, engineContext).winnerId, 1)
+    assert.equal(getSlotDecision(day1[1], { 1: { [day1[0]]: true } }, engineContext).winnerId, 2)
+  })
+})
+
+describe('validateLimits', () => {
+  it('accepts known limits with integer values at or above their minimum', () => {
+    assert.deepEqual(validateLimits({ maxPerDay: 6, breakAfter: 4, breakLength: 2 }, 'limits'), [])
+  })
+
+  it('reports unknown keys, bad values and non-objects', () => {
+    assert.deepEqual(validateLimits({ maxPerDay: 0, naps: 2, breakAfter: 1.5 }, 'providers[0].limits'), [
+      'providers[0].limits.maxPerDay must be an integer of at least 1',
+      'providers[0].limits.naps is not a limit (expected maxPerDay, maxConsecutive, breakAfter, breakLength, minGuaranteed)',
+      'providers[0].limits.breakAfter must be an integer of at least 1'
+    ])
+    assert.deepEqual(validateLimits([], 'limits'), ['limits must be an object'])
+  })
+})
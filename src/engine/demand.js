@@ -0,0 +1,167 @@
+// Registry of patient demand models for the booking simulation.
+// Each iteration a model turns into a list of patient requests; each request looks at
+// the highlighted slots (the current winner of every open slot, re-scored after each
+// booking) and books one of them, or returns null when the patient can't be served.
+// A model provides:
+//   label              - name shown in the demand picker
+//   description        - one line on how patients arrive and choose
+//   params             - numeric parameters with their slider ranges and defaults
+//   endsIterationOnMiss - whether an unserved request ends the iteration (otherwise it
+//                        is counted as unmet and the next patient tries)
+//   requests           - (context, params, random) -> [(highlightedSlots, selection, context, random) -> slot | null]
+// On top of any model, a cancellation rate frees bookings again (see planIteration).
+
+import { timeToMinutes } from './availability.js'
+import { samplePoisson } from './random.js'
+import { getMaxScoreProviderForSlot } from './scoring.js'
+
+export const DEFAULT_DEMAND_MODEL = 'bands'
+
+// Percentile bands of the highlighted slots that each pick is drawn from
+export const ITERATION_BANDS = [
+  [0, 0.2],
+  [0.2, 0.5],
+  [0.5, 0.7]
+]
+
+// Helper to select a random slot from a percentage range
+// The pick is verified against the selection the highlighted list was computed from
+export const selectRandomSlotFromRange = (highlightedSlots, startPercent, endPercent, selection, context, random = Math.random) => {
+  if (highlightedSlots.length === 0) return null
+
+  const start = Math.ceil(highlightedSlots.length * startPercent)
+  const end = Math.ceil(highlightedSlots.length * endPercent)
+
+  if (end <= start) return null
+
+  const rangeSlots = highlightedSlots.slice(start, end)
+  if (rangeSlots.length === 0) return null
+
+  const randomSlot = rangeSlots[Math.floor(random() * rangeSlots.length)]
+
+  // Verify it's actually highlighted
+  if (getMaxScoreProviderForSlot(randomSlot.slotId, selection, context) === randomSlot.providerId) {
+    return randomSlot
+  }
+  return null
+}
+
+// Helper to select a slot from first N percent
+export const selectRandomSlotFromFirstPercent = (highlightedSlots, percent, selection, context, random = Math.random) => {
+  if (highlightedSlots.length === 0) return null
+
+  const firstNPercent = Math.max(1, Math.ceil(highlightedSlots.length * percent))
+  const firstNSlots = highlightedSlots.slice(0, firstNPercent)
+  if (firstNSlots.length === 0) return null
+
+  const randomSlot = firstNSlots[Math.floor(random() * firstNSlots.length)]
+
+  // Verify it's actually highlighted
+  if (getMaxScoreProviderForSlot(randomSlot.slotId, selection, context) === randomSlot.providerId) {
+    return randomSlot
+  }
+  return null
+}
+
+// Minutes since midnight of a highlighted slot's start time
+const slotMinutes = (highlightedSlot, context) => {
+  return timeToMinutes(context.timeSlots[highlightedSlot.timeIndex].time)
+}
+
+// Pick one item with probability proportional to its weight
+const pickWeighted = (items, weights, random) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+  if (total <= 0) return null
+  let threshold = random() * total
+  for (let i = 0; i < items.length; i++) {
+    threshold -= weights[i]
+    if (threshold < 0) return items[i]
+  }
+  return items[items.length - 1]
+}
+
+// A patient who takes any open slot, chosen uniformly
+const anySlotRequest = (highlightedSlots, selection, context, random) => {
+  if (highlightedSlots.length === 0) return null
+  return highlightedSlots[Math.floor(random() * highlightedSlots.length)]
+}
+
+export const demandModels = {
+  bands: {
+    label: 'Percentile bands',
+    description: 'Three patients per iteration, from the earliest 20%, 20-50% and 50-70% of open slots',
+    params: [],
+    endsIterationOnMiss: true,
+    requests: () => ITERATION_BANDS.map(([startPercent, endPercent]) => (highlightedSlots, selection, context, random) => (
+      startPercent === 0
+        ? selectRandomSlotFromFirstPercent(highlightedSlots, endPercent, selection, context, random)
+        : selectRandomSlotFromRange(highlightedSlots, startPercent, endPercent, selection, context, random)
+    ))
+  },
+  poisson: {
+    label: 'Poisson arrivals',
+    description: 'A Poisson-distributed number of patients per iteration, each taking any open slot',
+    params: [
+      { key: 'rate', label: 'Mean arrivals per iteration', min: 0.5, max: 10, step: 0.5, defaultValue: 3 }
+    ],
+    endsIterationOnMiss: false,
+    requests: (context, { rate }, random) => Array.from({ length: samplePoisson(rate, random) }, () => anySlotRequest)
+  },
+  timeOfDay: {
+    label: 'Time-of-day curve',
+    description: 'Patients favour slots near a peak hour (e.g. a morning rush), with some demand all day',
+    params: [
+      { key: 'arrivals', label: 'Arrivals per iteration', min: 1, max: 10, step: 1, defaultValue: 3 },
+      { key: 'peakHour', label: 'Peak hour', min: 0, max: 23.5, step: 0.5, defaultValue: 10 },
+      { key: 'spread', label: 'Peak spread (hours)', min: 0.5, max: 6, step: 0.5, defaultValue: 1.5 },
+      { key: 'baseline', label: 'Off-peak demand', min: 0, max: 1, step: 0.05, defaultValue: 0.1 }
+    ],
+    endsIterationOnMiss: false,
+    requests: (context, { arrivals, peakHour, spread, baseline }) => Array.from({ length: arrivals }, () => (
+      (highlightedSlots, selection, ctx, random) => {
+        const weights = highlightedSlots.map(slot => {
+          const hoursFromPeak = slotMinutes(slot, ctx) / 60 - peakHour
+          return baseline + Math.exp(-(hoursFromPeak * hoursFromPeak) / (2 * spread * spread))
+        })
+        return pickWeighted(highlightedSlots, weights, random)
+      }
+    ))
+  },
+  requestedTime: {
+    label: 'Requested time or window',
+    description: 'Patients ask for a time of day and take the earliest open slot within the window, or go unserved',
+    params: [
+      { key: 'rate', label: 'Mean arrivals per iteration', min: 0.5, max: 10, step: 0.5, defaultValue: 3 },
+      { key: 'windowMinutes', label: 'Window (± minutes, 0 = exact time)', min: 0, max: 180, step: 5, defaultValue: 30 }
+    ],
+    endsIterationOnMiss: false,
+    requests: (context, { rate, windowMinutes }, random) => {
+      // Requested times are spread over the clinic's opening hours
+      const startTimes = [...new Set(context.timeSlots.map(slot => timeToMinutes(slot.time)))]
+      return Array.from({ length: samplePoisson(rate, random) }, () => {
+        const requestedMinutes = startTimes[Math.floor(random() * startTimes.length)]
+        return (highlightedSlots, selection, ctx) => (
+          highlightedSlots.find(slot => Math.abs(slotMinutes(slot, ctx) - requestedMinutes) <= windowMinutes) || null
+        )
+      })
+    }
+  }
+}
+
+// Look up a demand model, falling back to the default for unknown IDs
+export const getDemandModel = (modelId) => {
+  return demandModels[modelId] || demandModels[DEFAULT_DEMAND_MODEL]
+}
+
+// Default parameter values for a demand model: { rate: 3 }
+export const getDefaultDemandParams = (modelId) => {
+  return Object.fromEntries(getDemandModel(modelId).params.map(param => [param.key, param.defaultValue]))
+}
+
+// Demand settings for a simulation run:
+//   { model, params, cancellationRate, matchPatientStates }
+// cancellationRate is the chance that each booking from the previous iteration is
+// cancelled or turns into a no-show, freeing the slot for the next patients.
+// matchPatientStates gives each patient a home state so only licensed providers can see
+// them; it is off unless set, so the default run allocates as it always has.
+export const DEFAULT_DEMAND = { model: DEFAULT_DEMAND_MODEL, params: {}, cancellationRate: 0, matchPatientStates: false }
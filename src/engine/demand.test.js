@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../data/providers.js'
+import { DEFAULT_DEMAND, demandModels, getDefaultDemandParams, getDemandModel } from './demand.js'
+import { createRandom, samplePoisson } from './random.js'
+import { createEngineContext, getHighlightedSlots, withSlotSelected } from './scoring.js'
+import { planIteration } from './simulation.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+// The default clinic day: 18 ten-minute slots from 10:00 to 13:00
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+const context = createEngineContext({ providers: initialProviders, timeSlots, weight1: 0.8, weight2: 0.2 })
+const highlightedSlots = getHighlightedSlots({}, context)
+const first = () => 0
+
+// Every provider booked into every slot
+const fullSelection = initialProviders.reduce((selection, provider) => (
+  timeSlots.reduce((booked, slot) => withSlotSelected(booked, provider.id, slot.id), selection)
+), {})
+
+describe('demand model registry', () => {
+  it('falls back to the percentile bands and fills in default parameters', () => {
+    assert.equal(getDemandModel('nope'), demandModels.bands)
+    assert.deepEqual(getDefaultDemandParams('bands'), {})
+    assert.deepEqual(getDefaultDemandParams('timeOfDay'), { arrivals: 3, peakHour: 10, spread: 1.5, baseline: 0.1 })
+  })
+})
+
+describe('demand models', () => {
+  it('bands sends three patients, each starting at their band', () => {
+    const requests = demandModels.bands.requests(context, {}, first)
+    assert.equal(requests.length, 3)
+    const picks = requests.map(request => request(highlightedSlots, {}, context, first).timeIndex)
+    assert.deepEqual(picks, [0, Math.ceil(18 * 0.2), Math.ceil(18 * 0.5)])
+  })
+
+  it('poisson draws the number of arrivals, each taking any open slot', () => {
+    const requests = demandModels.poisson.requests(context, { rate: 4 }, createRandom(8))
+    assert.equal(requests.length, samplePoisson(4, createRandom(8)))
+    assert.equal(requests[0](highlightedSlots, {}, context, () => 0.99), highlightedSlots[17])
+    assert.equal(requests[0]([], {}, context, first), null)
+  })
+
+  it('timeOfDay favours slots near the peak hour', () => {
+    const [request] = demandModels.timeOfDay.requests(context, { arrivals: 1, peakHour: 12.5, spread: 0.5, baseline: 0 })
+    const random = createRandom(2)
+    const times = Array.from({ length: 200 }, () => timeSlots[request(highlightedSlots, {}, context, random).timeIndex].time)
+    assert.ok(times.filter(time => time.startsWith('12:')).length > 150)
+  })
+
+  it('requestedTime takes the earliest slot in the window or goes unserved', () => {
+    const requests = demandModels.requestedTime.requests(context, { rate: 10, windowMinutes: 180 }, createRandom(4))
+    assert.ok(requests.length > 0)
+    requests.forEach(request => assert.equal(request(highlightedSlots, {}, context), highlightedSlots[0]))
+    const [exact] = demandModels.requestedTime.requests(context, { rate: 10, windowMinutes: 0 }, createRandom(4))
+    assert.notEqual(exact(highlightedSlots, {}, context), null) // Every start time is open
+    assert.equal(exact([], {}, context), null)
+  })
+})
+
+describe('planIteration', () => {
+  it('books one slot per band with the default demand', () => {
+    const plan = planIteration({}, context, createRandom(1))
+    assert.equal(plan.picks.length, 3)
+    assert.deepEqual(plan.releases, [])
+    assert.equal(plan.unmet, 0)
+    plan.picks.forEach(pick => assert.equal(plan.selection[pick.providerId][pick.slotId], true))
+  })
+
+  it('ends the iteration on a miss for bands but counts each miss for other models', () => {
+    assert.equal(planIteration(fullSelection, context, createRandom(1)).unmet, 0)
+    const poisson = { ...DEFAULT_DEMAND, model: 'poisson', params: { rate: 5 } }
+    const plan = planIteration(fullSelection, context, createRandom(1), { demand: poisson })
+    assert.deepEqual(plan.picks, [])
+    assert.equal(plan.unmet, samplePoisson(5, createRandom(1)))
+  })
+
+  it('frees the previous bookings at the cancellation rate', () => {
+    const recentBookings = [{ providerId: 1, slotId: timeSlots[0].id }, { providerId: 2, slotId: timeSlots[1].id }]
+    const selection = withSlotSelected({}, 1, timeSlots[0].id)
+    const demand = { ...DEFAULT_DEMAND, model: 'poisson', params: { rate: 0.5 }, cancellationRate: 1 }
+    const plan = planIteration(selection, context, first, { demand, recentBookings }) // No arrivals
+    assert.deepEqual(plan.releases.map(({ providerId, slotId }) => [providerId, slotId]), [[1, timeSlots[0].id]])
+    assert.equal(typeof plan.releases[0].score, 'number')
+    assert.equal(plan.selection[1][timeSlots[0].id], false)
+  })
+
+  it('only books providers licensed in the patient state set on the context', () => {
+    const plan = planIteration({}, { ...context, patientState: 'TX' }, createRandom(3))
+    assert.equal(plan.picks.length, 3)
+    plan.picks.forEach(pick => {
+      assert.equal(pick.patientState, 'TX')
+      assert.ok([5, 7].includes(pick.providerId))
+    })
+  })
+})
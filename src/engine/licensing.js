@@ -0,0 +1,44 @@
+// State licensure: which US states a provider may see patients from.
+// Providers carry their license list as state codes ({ states: ['CA', 'NV'] }) and
+// licenses, the count b used in scoring, is its length. Providers from older data
+// with only a count are treated as licensed everywhere.
+
+// The 50 states plus DC
+export const US_STATE_CODES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+]
+
+export const isStateCode = (code) => {
+  return US_STATE_CODES.includes(code)
+}
+
+// "ca, nv ny" -> { states: ['CA', 'NV', 'NY'], invalid: [] }; duplicates are dropped
+export const parseStateList = (text) => {
+  const codes = text.split(/[\s,]+/).map(code => code.trim().toUpperCase()).filter(Boolean)
+  return {
+    states: [...new Set(codes.filter(isStateCode))],
+    invalid: codes.filter(code => !isStateCode(code))
+  }
+}
+
+// Number of licenses b: the length of the state list, or the legacy count
+export const getLicenseCount = (provider) => {
+  return Array.isArray(provider.states) ? provider.states.length : provider.licenses
+}
+
+// Whether a provider may see a patient from a state (any provider when the state is unknown)
+export const isLicensedIn = (provider, patientState) => {
+  return !patientState || !Array.isArray(provider.states) || provider.states.includes(patientState)
+}
+
+// Copy of a provider with a new license list, keeping the count in step
+export const withStates = (provider, states) => {
+  return { ...provider, states, licenses: states.length }
+}
+
+// Every state at least one provider is licensed in, alphabetically
+export const getRosterStates = (providers) => {
+  return [...new Set(providers.flatMap(provider => provider.states || []))].sort()
+}
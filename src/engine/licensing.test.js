@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../data/providers.js'
+import { DEFAULT_DEMAND } from './demand.js'
+import { getLicenseCount, getRosterStates, isLicensedIn, parseStateList, US_STATE_CODES, withStates } from './licensing.js'
+import { createRandom } from './random.js'
+import { createEngineContext, getHighlightedSlots, getSlotDecision } from './scoring.js'
+import { planIteration } from './simulation.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+const context = createEngineContext({ providers: initialProviders, timeSlots, weight1: 0.8, weight2: 0.2 })
+
+describe('state lists', () => {
+  it('knows the 50 states plus DC', () => {
+    assert.equal(US_STATE_CODES.length, 51)
+    assert.ok(US_STATE_CODES.includes('DC'))
+  })
+
+  it('parses codes in any case and separator, dropping duplicates', () => {
+    assert.deepEqual(parseStateList('ca, nv ny,,CA'), { states: ['CA', 'NV', 'NY'], invalid: [] })
+    assert.deepEqual(parseStateList('CA, XX, 12'), { states: ['CA'], invalid: ['XX', '12'] })
+    assert.deepEqual(parseStateList('  '), { states: [], invalid: [] })
+  })
+
+  it('collects the roster states alphabetically', () => {
+    assert.deepEqual(getRosterStates([{ states: ['NY', 'CA'] }, { licenses: 4 }, { states: ['CA', 'AZ'] }]), ['AZ', 'CA', 'NY'])
+  })
+})
+
+describe('license counts', () => {
+  it('counts the state list, or the legacy licenses field without one', () => {
+    assert.equal(getLicenseCount({ states: ['CA', 'NV'], licenses: 9 }), 2)
+    assert.equal(getLicenseCount({ licenses: 4 }), 4)
+    assert.equal(getLicenseCount({ states: [], licenses: 0 }), 0)
+  })
+
+  it('keeps the count in step with a new state list', () => {
+    const provider = withStates({ id: 1, name: 'A', licenses: 4 }, ['TX'])
+    assert.deepEqual(provider, { id: 1, name: 'A', licenses: 1, states: ['TX'] })
+  })
+
+  it('treats legacy providers and unknown patient states as licensed everywhere', () => {
+    assert.equal(isLicensedIn({ states: ['CA'] }, 'CA'), true)
+    assert.equal(isLicensedIn({ states: ['CA'] }, 'NY'), false)
+    assert.equal(isLicensedIn({ states: ['CA'] }, null), true)
+    assert.equal(isLicensedIn({ licenses: 4 }, 'NY'), true)
+  })
+})
+
+describe('state-filtered winners', () => {
+  const slotId = timeSlots[0].id
+
+  it('only lets providers licensed in the patient state compete for a slot', () => {
+    const decision = getSlotDecision(slotId, {}, { ...context, patientState: 'TX' })
+    assert.deepEqual(decision.candidates.map(c => c.id).sort(), [5, 7])
+    assert.equal(getSlotDecision(slotId, {}, { ...context, patientState: 'CA' }).winnerId, 4)
+    assert.equal(getSlotDecision(slotId, {}, context).candidates.length, initialProviders.length)
+  })
+
+  it('leaves a slot without a winner when nobody is licensed in the state', () => {
+    assert.equal(getSlotDecision(slotId, {}, { ...context, patientState: 'HI' }), null)
+    assert.deepEqual(getHighlightedSlots({}, { ...context, patientState: 'HI' }), [])
+  })
+
+  it('draws patient states from the roster only when the demand asks for it', () => {
+    const rosterStates = getRosterStates(initialProviders)
+    const matched = planIteration({}, context, createRandom(6), { demand: { ...DEFAULT_DEMAND, matchPatientStates: true } })
+    matched.picks.forEach(pick => {
+      assert.ok(rosterStates.includes(pick.patientState))
+      assert.ok(isLicensedIn(initialProviders.find(p => p.id === pick.providerId), pick.patientState))
+    })
+    assert.equal(DEFAULT_DEMAND.matchPatientStates, false)
+    const { matchPatientStates: _unset, ...withoutFlag } = DEFAULT_DEMAND
+    planIteration({}, context, createRandom(6), { demand: withoutFlag }).picks.forEach(pick => assert.equal(pick.patientState, null))
+  })
+})
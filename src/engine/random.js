@@ -0,0 +1,49 @@
+// Seedable pseudo-random number generation, so any simulation run can be replayed
+// exactly from its seed. Generators have the same shape as Math.random: () => [0, 1).
+
+// Largest seed accepted (seeds are unsigned 32-bit integers)
+export const MAX_SEED = 0xffffffff
+
+// Normalise any number to a valid seed
+export const normalizeSeed = (seed) => {
+  return Math.abs(Math.trunc(Number(seed) || 0)) % (MAX_SEED + 1)
+}
+
+// Pick a fresh seed for a new run
+export const generateSeed = () => {
+  return Math.floor(Math.random() * (MAX_SEED + 1))
+}
+
+// Mulberry32: small, fast generator with a full 32-bit state
+export const createRandom = (seed) => {
+  let state = normalizeSeed(seed)
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Deterministic value in [0, 1) for a seed and a string key, without advancing any
+// generator, so the same question (e.g. who wins a tie in this slot) gets the same answer
+export const randomForKey = (seed, key) => {
+  let hash = normalizeSeed(seed)
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193) // FNV-1a style mixing
+  }
+  return createRandom(hash >>> 0)()
+}
+
+// Draw a count from a Poisson distribution with the given mean (Knuth's method, fine for small means)
+export const samplePoisson = (mean, random = Math.random) => {
+  const limit = Math.exp(-mean)
+  let count = 0
+  let product = random()
+  while (product > limit) {
+    count++
+    product *= random()
+  }
+  return count
+}
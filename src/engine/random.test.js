@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRandom, MAX_SEED, normalizeSeed, randomForKey, samplePoisson } from './random.js'
+
+const draw = (random, count) => Array.from({ length: count }, () => random())
+
+describe('createRandom', () => {
+  it('replays the same sequence for the same seed', () => {
+    assert.deepEqual(draw(createRandom(42), 20), draw(createRandom(42), 20))
+  })
+
+  it('gives different sequences for different seeds', () => {
+    assert.notDeepEqual(draw(createRandom(42), 5), draw(createRandom(43), 5))
+  })
+
+  it('stays within [0, 1)', () => {
+    assert.ok(draw(createRandom(7), 1000).every(value => value >= 0 && value < 1))
+  })
+})
+
+describe('normalizeSeed', () => {
+  it('turns any number into an unsigned 32-bit seed', () => {
+    assert.equal(normalizeSeed(12.9), 12)
+    assert.equal(normalizeSeed(-5), 5)
+    assert.equal(normalizeSeed(MAX_SEED + 3), 2)
+    assert.equal(normalizeSeed('abc'), 0)
+  })
+
+  it('treats seeds that normalise alike as the same run', () => {
+    assert.deepEqual(draw(createRandom(MAX_SEED + 11), 5), draw(createRandom(10), 5))
+  })
+})
+
+describe('randomForKey', () => {
+  it('answers the same key the same way without a generator', () => {
+    assert.equal(randomForKey(5, '2024-01-01-10-0'), randomForKey(5, '2024-01-01-10-0'))
+    assert.notEqual(randomForKey(5, '2024-01-01-10-0'), randomForKey(5, '2024-01-01-10-10'))
+    assert.notEqual(randomForKey(5, '2024-01-01-10-0'), randomForKey(6, '2024-01-01-10-0'))
+  })
+})
+
+describe('samplePoisson', () => {
+  it('averages close to its mean', () => {
+    const random = createRandom(1)
+    const counts = Array.from({ length: 5000 }, () => samplePoisson(3, random))
+    const average = counts.reduce((sum, count) => sum + count, 0) / counts.length
+    assert.ok(Math.abs(average - 3) < 0.1, `average ${average}`)
+  })
+
+  it('is always 0 for a mean of 0', () => {
+    assert.equal(samplePoisson(0, createRandom(1)), 0)
+  })
+})
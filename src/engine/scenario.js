@@ -0,0 +1,339 @@
+// Versioned scenario files: everything needed to reproduce a board, as plain JSON.
+//   {
+//     format: 'slot-prioritization-scenario', version: 1, exportedAt,
+//     providers: [{ id, name, licenses, states?, recentUtilization?, availability?, limits?, homeTimeZone? }],
+//     slotConfig: { startDate, days, skipWeekends, startHour, endHour, intervalMinutes },
+//     scoring: { strategy, strategyParams, weight1, weight2, tieBreak?, compareRawScores? },
+//     simulation: { seed, runSeed, speed, instant?, demand? },
+//     selection: {
+//       selectedSlots: { providerId: { slotId: true } },
+//       events: [{ providerId, slotId, selected, iteration, source, score, patientState? }]
+//     }
+//   }
+// Each event records one booking change in order; iteration is the simulation
+// iteration that made it, or null for a manual checkbox toggle, and score is the
+// provider's availability score just before the change. states lists the provider's
+// state licenses (licenses must equal its length); patientState is the booked patient's state.
+// limits holds the provider's booking caps and guarantee (see constraints.js);
+// homeTimeZone is an IANA zone their availability times are read in (see availability.js).
+
+import { validateAvailability } from './availability.js'
+import { validateLimits } from './constraints.js'
+import { MAX_SEED } from './random.js'
+import { replayEvents } from './timeline.js'
+import { scoringStrategies } from './strategies.js'
+import { isTimeZone } from './timeZones.js'
+import { tieBreakPolicies } from './tieBreaking.js'
+import { demandModels } from './demand.js'
+import { isStateCode } from './licensing.js'
+import { generateTimeSlots, validateSlotConfig } from './timeSlots.js'
+
+export const SCENARIO_FORMAT = 'slot-prioritization-scenario'
+export const SCENARIO_VERSION = 1
+
+// Simulation speed slider values; the interval between iterations is 3000 - speed ms
+export const SPEED_RANGE = { min: 200, max: 2950 }
+
+const EVENT_SOURCES = ['simulation', 'manual']
+
+const isPlainObject = (value) => {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+// Drop deselected entries so the file only lists booked slots
+const compactSelection = (selectedSlots) => {
+  const compacted = {}
+  Object.entries(selectedSlots).forEach(([providerId, slots]) => {
+    const booked = Object.keys(slots).filter(slotId => slots[slotId])
+    if (booked.length > 0) {
+      compacted[providerId] = Object.fromEntries(booked.map(slotId => [slotId, true]))
+    }
+  })
+  return compacted
+}
+
+// Build a scenario object from the simulator's state
+export const createScenario = ({
+  providers,
+  slotConfig,
+  strategy,
+  strategyParams,
+  weight1,
+  weight2,
+  tieBreak,
+  compareRawScores,
+  seed,
+  runSeed,
+  speed,
+  instant,
+  demand,
+  selectedSlots,
+  events
+}) => {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    exportedAt: new Date().toISOString(),
+    providers,
+    slotConfig,
+    scoring: { strategy, strategyParams, weight1, weight2, tieBreak, compareRawScores },
+    simulation: { seed, runSeed, speed, instant, demand },
+    selection: {
+      selectedSlots: compactSelection(selectedSlots),
+      events
+    }
+  }
+}
+
+const validateProviders = (providers, slotIds, errors) => {
+  if (!Array.isArray(providers)) {
+    errors.push('providers must be an array')
+    return
+  }
+  const seenIds = new Set()
+  providers.forEach((provider, index) => {
+    const path = `providers[${index}]`
+    if (!isPlainObject(provider)) {
+      errors.push(`${path} must be an object`)
+      return
+    }
+    if (!Number.isInteger(provider.id) || provider.id < 1) {
+      errors.push(`${path}.id must be a positive integer, got ${JSON.stringify(provider.id)}`)
+    } else if (seenIds.has(provider.id)) {
+      errors.push(`${path}.id ${provider.id} is used by more than one provider`)
+    } else {
+      seenIds.add(provider.id)
+    }
+    if (typeof provider.name !== 'string' || !provider.name.trim()) {
+      errors.push(`${path}.name must be a non-empty string`)
+    }
+    if (!Number.isInteger(provider.licenses) || provider.licenses < 0) {
+      errors.push(`${path}.licenses must be a non-negative integer, got ${JSON.stringify(provider.licenses)}`)
+    }
+    if (provider.states !== undefined) {
+      if (!Array.isArray(provider.states) || !provider.states.every(isStateCode)) {
+        errors.push(`${path}.states must be an array of US state codes such as "CA"`)
+      } else if (new Set(provider.states).size !== provider.states.length) {
+        errors.push(`${path}.states lists a state more than once`)
+      } else if (provider.licenses !== provider.states.length) {
+        errors.push(`${path}.licenses (${provider.licenses}) must equal the number of states (${provider.states.length})`)
+      }
+    }
+    if (provider.recentUtilization !== undefined &&
+      (typeof provider.recentUtilization !== 'number' || provider.recentUtilization < 0 || provider.recentUtilization > 1)) {
+      errors.push(`${path}.recentUtilization must be a number between 0 and 1`)
+    }
+    if (provider.availability !== undefined) {
+      errors.push(...validateAvailability(provider.availability, `${path}.availability`, slotIds))
+    }
+    if (provider.homeTimeZone !== undefined && !isTimeZone(provider.homeTimeZone)) {
+      errors.push(`${path}.homeTimeZone must be a time zone name such as "America/Chicago", got ${JSON.stringify(provider.homeTimeZone)}`)
+    }
+    if (provider.limits !== undefined) {
+      errors.push(...validateLimits(provider.limits, `${path}.limits`))
+    }
+  })
+}
+
+const validateScoring = (scoring, errors) => {
+  if (!isPlainObject(scoring)) {
+    errors.push('scoring must be an object')
+    return
+  }
+  const strategy = scoringStrategies[scoring.strategy]
+  if (!strategy) {
+    errors.push(`scoring.strategy "${scoring.strategy}" is unknown (expected one of ${Object.keys(scoringStrategies).join(', ')})`)
+  }
+  for (const key of ['weight1', 'weight2']) {
+    if (typeof scoring[key] !== 'number' || scoring[key] < 0 || scoring[key] > 1) {
+      errors.push(`scoring.${key} must be a number between 0 and 1, got ${JSON.stringify(scoring[key])}`)
+    }
+  }
+  // Tie-break settings are optional so files from before they existed still load
+  if (scoring.tieBreak !== undefined && !tieBreakPolicies[scoring.tieBreak]) {
+    errors.push(`scoring.tieBreak "${scoring.tieBreak}" is unknown (expected one of ${Object.keys(tieBreakPolicies).join(', ')})`)
+  }
+  if (scoring.compareRawScores !== undefined && typeof scoring.compareRawScores !== 'boolean') {
+    errors.push('scoring.compareRawScores must be true or false')
+  }
+  if (!isPlainObject(scoring.strategyParams)) {
+    errors.push('scoring.strategyParams must be an object')
+  } else if (strategy) {
+    Object.entries(scoring.strategyParams).forEach(([key, value]) => {
+      const param = strategy.params.find(p => p.key === key)
+      if (!param) {
+        errors.push(`scoring.strategyParams.${key} is not a parameter of ${scoring.strategy}`)
+      } else if (typeof value !== 'number' || value < param.min || value > param.max) {
+        errors.push(`scoring.strategyParams.${key} must be a number between ${param.min} and ${param.max}`)
+      }
+    })
+  }
+}
+
+// Demand settings are optional so files from before demand models existed still load
+const validateDemand = (demand, errors) => {
+  if (!isPlainObject(demand)) {
+    errors.push('simulation.demand must be an object')
+    return
+  }
+  const model = demandModels[demand.model]
+  if (!model) {
+    errors.push(`simulation.demand.model "${demand.model}" is unknown (expected one of ${Object.keys(demandModels).join(', ')})`)
+  }
+  if (!isPlainObject(demand.params)) {
+    errors.push('simulation.demand.params must be an object')
+  } else if (model) {
+    Object.entries(demand.params).forEach(([key, value]) => {
+      const param = model.params.find(p => p.key === key)
+      if (!param) {
+        errors.push(`simulation.demand.params.${key} is not a parameter of ${demand.model}`)
+      } else if (typeof value !== 'number' || value < param.min || value > param.max) {
+        errors.push(`simulation.demand.params.${key} must be a number between ${param.min} and ${param.max}`)
+      }
+    })
+  }
+  if (typeof demand.cancellationRate !== 'number' || demand.cancellationRate < 0 || demand.cancellationRate >= 1) {
+    errors.push('simulation.demand.cancellationRate must be a number from 0 up to (not including) 1')
+  }
+  if (demand.matchPatientStates !== undefined && typeof demand.matchPatientStates !== 'boolean') {
+    errors.push('simulation.demand.matchPatientStates must be true or false')
+  }
+}
+
+const validateSimulation = (simulation, errors) => {
+  if (!isPlainObject(simulation)) {
+    errors.push('simulation must be an object')
+    return
+  }
+  const isSeed = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SEED
+  if (!isSeed(simulation.seed)) {
+    errors.push(`simulation.seed must be an integer between 0 and ${MAX_SEED}`)
+  }
+  if (simulation.runSeed !== null && !isSeed(simulation.runSeed)) {
+    errors.push(`simulation.runSeed must be null or an integer between 0 and ${MAX_SEED}`)
+  }
+  if (!Number.isInteger(simulation.speed) || simulation.speed < SPEED_RANGE.min || simulation.speed > SPEED_RANGE.max) {
+    errors.push(`simulation.speed must be an integer between ${SPEED_RANGE.min} and ${SPEED_RANGE.max}`)
+  }
+  if (simulation.instant !== undefined && typeof simulation.instant !== 'boolean') {
+    errors.push('simulation.instant must be a boolean')
+  }
+  if (simulation.demand !== undefined) {
+    validateDemand(simulation.demand, errors)
+  }
+}
+
+// Check every provider and slot ID the selection refers to against the roster and clinic day
+const validateSelection = (selection, providerIds, slotIds, errors) => {
+  if (!isPlainObject(selection)) {
+    errors.push('selection must be an object')
+    return
+  }
+  const checkIds = (path, providerId, slotId) => {
+    if (!providerIds.has(providerId)) {
+      errors.push(`${path}: unknown provider ID ${JSON.stringify(providerId)} (not in providers)`)
+    }
+    if (slotIds && !slotIds.has(slotId)) {
+      errors.push(`${path}: unknown slot ID ${JSON.stringify(slotId)} (not in the configured clinic days)`)
+    }
+  }
+
+  if (!isPlainObject(selection.selectedSlots)) {
+    errors.push('selection.selectedSlots must be an object')
+  } else {
+    Object.entries(selection.selectedSlots).forEach(([providerKey, slots]) => {
+      if (!isPlainObject(slots)) {
+        errors.push(`selection.selectedSlots.${providerKey} must be an object`)
+        return
+      }
+      Object.keys(slots).forEach(slotId => {
+        checkIds(`selection.selectedSlots.${providerKey}.${slotId}`, Number(providerKey), slotId)
+      })
+    })
+  }
+
+  if (!Array.isArray(selection.events)) {
+    errors.push('selection.events must be an array')
+    return
+  }
+  selection.events.forEach((event, index) => {
+    const path = `selection.events[${index}]`
+    if (!isPlainObject(event)) {
+      errors.push(`${path} must be an object`)
+      return
+    }
+    checkIds(path, event.providerId, event.slotId)
+    if (typeof event.selected !== 'boolean') {
+      errors.push(`${path}.selected must be true or false`)
+    }
+    if (event.iteration !== null && (!Number.isInteger(event.iteration) || event.iteration < 1)) {
+      errors.push(`${path}.iteration must be null or a positive integer`)
+    }
+    if (!EVENT_SOURCES.includes(event.source)) {
+      errors.push(`${path}.source must be one of ${EVENT_SOURCES.join(', ')}`)
+    }
+    if (event.score !== undefined && event.score !== null && typeof event.score !== 'number') {
+      errors.push(`${path}.score must be a number or null`)
+    }
+    if (event.patientState !== undefined && event.patientState !== null && !isStateCode(event.patientState)) {
+      errors.push(`${path}.patientState must be a US state code or null`)
+    }
+  })
+
+  // The events are replayed to rebuild the board, so they must end in the exported selection
+  if (selection.events.length > 0 && isPlainObject(selection.selectedSlots) && errors.length === 0) {
+    const bookedKeys = (selectedSlots) => Object.entries(compactSelection(selectedSlots))
+      .flatMap(([providerId, slots]) => Object.keys(slots).map(slotId => `${providerId}/${slotId}`))
+      .sort()
+      .join(',')
+    if (bookedKeys(replayEvents(selection.events)) !== bookedKeys(selection.selectedSlots)) {
+      errors.push('selection.events do not reproduce selection.selectedSlots')
+    }
+  }
+}
+
+// Validate parsed scenario JSON. Returns a list of problems, empty when the file can be loaded.
+export const validateScenario = (data) => {
+  const errors = []
+  if (!isPlainObject(data)) {
+    return ['The file does not contain a JSON object']
+  }
+  if (data.format !== SCENARIO_FORMAT) {
+    return [`Not a scenario file (format is ${JSON.stringify(data.format)}, expected "${SCENARIO_FORMAT}")`]
+  }
+  if (data.version !== SCENARIO_VERSION) {
+    return [`Unsupported scenario version ${JSON.stringify(data.version)} (this simulator reads version ${SCENARIO_VERSION})`]
+  }
+
+  let slotIds = null
+  if (!isPlainObject(data.slotConfig)) {
+    errors.push('slotConfig must be an object')
+  } else {
+    const slotConfigErrors = validateSlotConfig(data.slotConfig)
+    slotConfigErrors.forEach(error => errors.push(`slotConfig.${error}`))
+    if (slotConfigErrors.length === 0) {
+      slotIds = new Set(generateTimeSlots(data.slotConfig).map(slot => slot.id))
+    }
+  }
+
+  validateProviders(data.providers, slotIds, errors)
+  validateScoring(data.scoring, errors)
+  validateSimulation(data.simulation, errors)
+
+  const providerIds = new Set(Array.isArray(data.providers) ? data.providers.map(p => p?.id) : [])
+  validateSelection(data.selection, providerIds, slotIds, errors)
+
+  return errors
+}
+
+// Parse and validate a scenario file's text: { scenario } or { errors }
+export const parseScenario = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    return { errors: [`The file is not valid JSON: ${error.message}`] }
+  }
+  const errors = validateScenario(data)
+  return errors.length > 0 ? { errors } : { scenario: data }
+}
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createScenario, validateScenario } from './scenario.js'
+import { defaultSlotConfig } from './timeSlots.js'
+
+// A valid one-provider scenario with the given availability
+const withAvailability = (availability) => createScenario({
+  providers: [{ id: 1, name: 'A', licenses: 1, availability }],
+  slotConfig: defaultSlotConfig,
+  strategy: 'exponential',
+  strategyParams: {},
+  weight1: 0.8,
+  weight2: 0.2,
+  seed: 1,
+  runSeed: 1,
+  speed: 1560,
+  selectedSlots: {},
+  events: []
+})
+
+describe('validateScenario availability', () => {
+  it('accepts well-formed availability, including a window still being edited', () => {
+    const errors = validateScenario(withAvailability({
+      shift: { start: '08:00', end: '16:00' },
+      breaks: [{ start: '12:00', end: '' }],
+      ptoDates: ['2024-01-03'],
+      blockedSlots: ['2024-01-01-10-40']
+    }))
+    assert.deepEqual(errors, [])
+  })
+
+  it('rejects fields of the wrong type, naming each path', () => {
+    assert.deepEqual(validateScenario(withAvailability({ ptoDates: 5 })), ['providers[0].availability.ptoDates must be an array'])
+    assert.deepEqual(validateScenario(withAvailability({ breaks: 'lunch' })), ['providers[0].availability.breaks must be an array'])
+    assert.match(validateScenario(withAvailability({ shift: { start: 8, end: 17 } }))[0], /^providers\[0\]\.availability\.shift\.start must be an HH:MM time/)
+  })
+
+  it('rejects malformed times and windows that end before they start', () => {
+    assert.match(validateScenario(withAvailability({ shift: { start: 'abc' } }))[0], /availability\.shift\.start must be an HH:MM time .*, got "abc"/)
+    assert.match(validateScenario(withAvailability({ breaks: [{ start: '13:00', end: '12:00' }] }))[0], /availability\.breaks\[0\]\.start \(13:00\) must be before its end/)
+  })
+
+  it('rejects bad PTO dates and slot IDs outside the clinic day', () => {
+    assert.match(validateScenario(withAvailability({ ptoDates: ['Jan 3'] }))[0], /availability\.ptoDates\[0\] must be a YYYY-MM-DD date/)
+    assert.match(validateScenario(withAvailability({ blockedSlots: ['2024-01-01-23-0'] }))[0], /availability\.blockedSlots\[0\] "2024-01-01-23-0" is not a slot/)
+  })
+})
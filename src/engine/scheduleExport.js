@@ -0,0 +1,135 @@
+// Turn a finished allocation into files schedulers can check by hand:
+// one CSV of every booking, and an iCalendar (.ics) file for one provider or all of them.
+// Slot times are treated as UTC, matching the grid's footnote.
+
+import { getLicenseCount } from './licensing.js'
+
+// One row per booked slot, in time order: provider, slot and how the booking was made.
+// Iteration, score and patient state come from the most recent event that booked the
+// slot; they are null when the booking has no event (e.g. an imported selection without a log).
+export const buildScheduleRows = ({ providers, timeSlots, selectedSlots, events }) => {
+  const lastBookingEvent = {}
+  events.forEach(event => {
+    if (event.selected) lastBookingEvent[`${event.providerId}|${event.slotId}`] = event
+  })
+
+  const rows = []
+  timeSlots.forEach(slot => {
+    providers.forEach(provider => {
+      if (!selectedSlots[provider.id]?.[slot.id]) return
+      const event = lastBookingEvent[`${provider.id}|${slot.id}`]
+      rows.push({
+        provider,
+        slot,
+        iteration: event?.iteration ?? null,
+        source: event?.source ?? null,
+        score: event?.score ?? null,
+        patientState: event?.patientState ?? null
+      })
+    })
+  })
+  return rows
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const scheduleToCsv = (rows) => {
+  const header = ['Provider', 'Provider ID', 'States licensed', 'Date', 'Start (UTC)', 'End (UTC)', 'Iteration', 'Source', 'Score at pick', 'Patient state']
+  const lines = rows.map(({ provider, slot, iteration, source, score, patientState }) => [
+    provider.name,
+    provider.id,
+    getLicenseCount(provider),
+    slot.date,
+    slot.time,
+    slot.endTime,
+    iteration,
+    source,
+    score === null ? null : score.toFixed(4),
+    patientState
+  ])
+  return [header, ...lines].map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+// "2024-01-01", "10:40" -> "20240101T104000Z" (24:00 rolls over to the next day)
+const toIcsDateTime = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes)).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Escape text values per RFC 5545
+const icsText = (text) => {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+// Bytes a character takes in UTF-8
+const utf8Length = (char) => {
+  const code = char.codePointAt(0)
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4
+}
+
+// Fold a content line into lines of at most 75 octets, each continuation starting with
+// a space (RFC 5545 section 3.1). Characters are never split across lines.
+export const foldLine = (line) => {
+  const lines = []
+  let current = ''
+  let octets = 0
+  for (const char of line) {
+    const length = utf8Length(char)
+    if (octets + length > 75) {
+      lines.push(current)
+      current = ' '
+      octets = 1
+    }
+    current += char
+    octets += length
+  }
+  lines.push(current)
+  return lines.join('\r\n')
+}
+
+// iCalendar file named calendarName with one event per slot booked for the given
+// providers: pass one provider for their own calendar, or the whole roster for a
+// combined one (each event's summary names its provider)
+export const scheduleToIcs = (providers, rows, calendarName, now = new Date()) => {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  const providerIds = new Set(providers.map(provider => provider.id))
+  const events = rows
+    .filter(row => providerIds.has(row.provider.id))
+    .flatMap(({ provider, slot, iteration, source, score, patientState }) => {
+      const details = [
+        source === 'simulation' ? `Booked in simulation iteration ${iteration}` : source === 'manual' ? 'Booked manually' : null,
+        score === null ? null : `Availability score at pick: ${score.toFixed(4)}`,
+        patientState === null ? null : `Patient state: ${patientState}`
+      ].filter(Boolean).join('\n')
+      return [
+        'BEGIN:VEVENT',
+        `UID:${slot.id}-provider-${provider.id}@slot-prioritization-simulator`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${toIcsDateTime(slot.date, slot.time)}`,
+        `DTEND:${toIcsDateTime(slot.date, slot.endTime)}`,
+        `SUMMARY:${icsText(`Appointment - ${provider.name}`)}`,
+        details && `DESCRIPTION:${icsText(details)}`,
+        'END:VEVENT'
+      ].filter(Boolean)
+    })
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Slot Prioritization Simulator//Schedule Export//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n'
+}
+
+// File-name-safe version of a provider name: "NP O'Brien" -> "np-o-brien"
+export const slugify = (text) => {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'provider'
+}
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { foldLine, scheduleToIcs } from './scheduleExport.js'
+
+const octets = (line) => new TextEncoder().encode(line).length
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = `SUMMARY:${'x'.repeat(67)}`
+    assert.equal(foldLine(line), line)
+  })
+
+  it('folds longer lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'é'.repeat(100)}`
+    const folded = foldLine(line).split('\r\n')
+    assert.ok(folded.length > 1)
+    assert.ok(folded.every(part => octets(part) <= 75))
+    assert.ok(folded.slice(1).every(part => part.startsWith(' ')))
+    assert.equal(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line)
+  })
+})
+
+describe('scheduleToIcs', () => {
+  const providers = [{ id: 1, name: 'Dr. A' }, { id: 2, name: 'Dr. B' }]
+  const rows = providers.map((provider, index) => ({
+    provider,
+    slot: { id: `2024-01-01-10-${index * 10}`, date: '2024-01-01', time: `10:${index}0`, endTime: `10:${index + 1}0` },
+    iteration: 1,
+    source: 'simulation',
+    score: 0.5,
+    patientState: null
+  }))
+
+  it('puts every given provider in one calendar', () => {
+    const ics = scheduleToIcs(providers, rows, 'All providers', new Date(0))
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2)
+    assert.match(ics, /X-WR-CALNAME:All providers/)
+  })
+
+  it('keeps only the given providers\' bookings', () => {
+    const ics = scheduleToIcs([providers[1]], rows, 'Dr. B', new Date(0))
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 1)
+    assert.match(ics, /SUMMARY:Appointment - Dr. B/)
+  })
+})
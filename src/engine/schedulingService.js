@@ -0,0 +1,235 @@
+// Scheduling service: answers "who gets this slot?" for a scenario with the same
+// getSlotDecision the grid uses, and books or frees slots on it, so a booking backend
+// and the grid can't drift apart. Pure functions over a service state
+//   { scenario, events }
+// where scenario is a validated scenario object (see scenario.js) and events is its
+// booking log; the HTTP server in scripts/server.js keeps one of these in memory.
+// Functions that can fail return { errors, code } with code 'invalid', 'notFound' or
+// 'conflict' instead of a new state.
+
+import {
+  calculateAvailabilityScore,
+  createEngineContext,
+  createScoreCache,
+  getHighlightedSlots,
+  getSlotDecision,
+  isSlotBlocked,
+  isSlotSelected
+} from './scoring.js'
+import { CONSTRAINT_LABELS, getConstraintBlock } from './constraints.js'
+import { getLicenseCount, isLicensedIn, isStateCode } from './licensing.js'
+import { createScenario, validateScenario } from './scenario.js'
+import { createSelectionEvent, eventsFromSelection, replayEvents } from './timeline.js'
+import { generateTimeSlots, validateSlotConfig } from './timeSlots.js'
+
+// Service state for a validated scenario; files without a history get one booking event per booked slot
+export const createServiceState = (scenario) => {
+  const { selectedSlots, events } = scenario.selection
+  return {
+    scenario,
+    events: events.length > 0 ? events : eventsFromSelection(selectedSlots, generateTimeSlots(scenario.slotConfig))
+  }
+}
+
+// The service's scenario with its current bookings, in the scenario file format
+export const getServiceScenario = (state) => {
+  const { providers, slotConfig, scoring, simulation } = state.scenario
+  return createScenario({
+    providers,
+    slotConfig,
+    strategy: scoring.strategy,
+    strategyParams: scoring.strategyParams,
+    weight1: scoring.weight1,
+    weight2: scoring.weight2,
+    tieBreak: scoring.tieBreak,
+    compareRawScores: scoring.compareRawScores,
+    seed: simulation.seed,
+    runSeed: simulation.runSeed,
+    speed: simulation.speed,
+    instant: simulation.instant,
+    demand: simulation.demand,
+    selectedSlots: replayEvents(state.events),
+    events: state.events
+  })
+}
+
+// Engine context for the scenario, built the way the grid builds it
+export const getServiceContext = (state, patientState = null) => {
+  const { providers, slotConfig, scoring, simulation } = state.scenario
+  return createEngineContext({
+    providers: [...providers].sort((a, b) => getLicenseCount(a) - getLicenseCount(b)),
+    timeSlots: generateTimeSlots(slotConfig),
+    weight1: scoring.weight1,
+    weight2: scoring.weight2,
+    strategy: scoring.strategy,
+    strategyParams: scoring.strategyParams,
+    tieBreak: scoring.tieBreak,
+    tieBreakSeed: simulation.seed,
+    compareRawScores: scoring.compareRawScores,
+    patientState
+  })
+}
+
+// Patient state from a request: null when absent, otherwise it must be a state code
+export const parsePatientState = (value) => {
+  if (value === undefined || value === null || value === '') return { patientState: null }
+  const code = String(value).toUpperCase()
+  return isStateCode(code)
+    ? { patientState: code }
+    : { errors: [`patientState must be a US state code such as "CA", got ${JSON.stringify(value)}`], code: 'invalid' }
+}
+
+// JSON has no Infinity: providers with no licenses (under a license-based strategy) score null
+const toJsonScore = (score) => (Number.isFinite(score) ? score : null)
+
+const listScores = (context, cache) => {
+  return context.providers.map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    licenses: getLicenseCount(provider),
+    score: toJsonScore(cache.scores[provider.id]),
+    booked: cache.bookedCounts[provider.id]
+  }))
+}
+
+// Every provider's current score and bookings: [{ id, name, licenses, score, booked }]
+export const getScores = (state) => {
+  const context = getServiceContext(state)
+  return listScores(context, createScoreCache(replayEvents(state.events), context))
+}
+
+// Everything the grid shows: the scores plus the winner of every open slot
+//   { scores, winners: { slotId: providerId } }
+export const getBoard = (state, patientState = null) => {
+  const context = getServiceContext(state, patientState)
+  const selection = replayEvents(state.events)
+  const cache = createScoreCache(selection, context)
+  return {
+    scores: listScores(context, cache),
+    winners: Object.fromEntries(getHighlightedSlots(selection, context, cache).map(h => [h.slotId, h.providerId]))
+  }
+}
+
+// Who gets a slot now: getSlotDecision's answer, with winnerId null when nobody can take it
+export const getSlotWinner = (state, slotId, patientState = null) => {
+  const context = getServiceContext(state, patientState)
+  if (!context.timeSlots.some(slot => slot.id === slotId)) {
+    return { errors: [`Slot ${slotId} is not on the clinic schedule`], code: 'notFound' }
+  }
+  const decision = getSlotDecision(slotId, replayEvents(state.events), context)
+  return {
+    slotId,
+    patientState,
+    winnerId: decision?.winnerId ?? null,
+    maxScore: decision?.maxScore ?? null,
+    tieBreak: decision?.tieBreak ?? null,
+    candidates: (decision?.candidates || []).map(c => ({ ...c, score: toJsonScore(c.score), rawScore: toJsonScore(c.rawScore) }))
+  }
+}
+
+// Look up the provider and slot of a booking request, or explain which one is missing
+const findBookingTarget = (context, providerId, slotId) => {
+  const provider = context.providers.find(p => p.id === providerId)
+  if (!provider) {
+    return { errors: [`Provider ${JSON.stringify(providerId)} is not on the roster`], code: 'notFound' }
+  }
+  if (!context.timeSlots.some(slot => slot.id === slotId)) {
+    return { errors: [`Slot ${JSON.stringify(slotId)} is not on the clinic schedule`], code: 'notFound' }
+  }
+  return { provider }
+}
+
+// Book a slot for a provider. Unless force is set, the provider must be the slot's
+// current winner for the patient's state, exactly as the grid only enables the winner.
+// Provider limits (constraints.js) hold even with force.
+// Returns { state, event } or { errors, code }.
+export const commitBooking = (state, { providerId, slotId, patientState = null, force = false }) => {
+  const context = getServiceContext(state, patientState)
+  const { provider, errors, code } = findBookingTarget(context, providerId, slotId)
+  if (errors) return { errors, code }
+
+  const selection = replayEvents(state.events)
+  if (isSlotSelected(selection, providerId, slotId)) {
+    return { errors: [`${provider.name} is already booked at ${slotId}`], code: 'conflict' }
+  }
+  if (isSlotBlocked(context, providerId, slotId)) {
+    return { errors: [`${provider.name} is not available at ${slotId} (${context.availability[providerId].blocked[slotId]})`], code: 'conflict' }
+  }
+  if (!isLicensedIn(provider, patientState)) {
+    return { errors: [`${provider.name} is not licensed in ${patientState}`], code: 'conflict' }
+  }
+  const limit = getConstraintBlock(provider, slotId, selection, context)
+  if (limit) {
+    return { errors: [`${provider.name} can't take ${slotId} (${CONSTRAINT_LABELS[limit]})`], code: 'conflict' }
+  }
+  if (!force) {
+    const decision = getSlotDecision(slotId, selection, context)
+    if (decision?.winnerId !== providerId) {
+      const winner = context.providers.find(p => p.id === decision?.winnerId)
+      return { errors: [`${slotId} goes to ${winner ? winner.name : 'nobody'}, not ${provider.name} (send force: true to book anyway)`], code: 'conflict' }
+    }
+  }
+
+  const score = calculateAvailabilityScore(provider, selection, context)
+  const event = createSelectionEvent(providerId, slotId, true, null, score, patientState)
+  return { state: { ...state, events: [...state.events, event] }, event }
+}
+
+// Free a booked slot again (a cancellation). Returns { state, event } or { errors, code }.
+export const releaseBooking = (state, { providerId, slotId }) => {
+  const context = getServiceContext(state)
+  const { provider, errors, code } = findBookingTarget(context, providerId, slotId)
+  if (errors) return { errors, code }
+
+  const selection = replayEvents(state.events)
+  if (!isSlotSelected(selection, providerId, slotId)) {
+    return { errors: [`${provider.name} is not booked at ${slotId}`], code: 'notFound' }
+  }
+  const score = calculateAvailabilityScore(provider, selection, context)
+  const event = createSelectionEvent(providerId, slotId, false, null, score)
+  return { state: { ...state, events: [...state.events, event] }, event }
+}
+
+// Validate a changed scenario together with the bookings kept for it
+const withValidatedScenario = (state, scenario, events) => {
+  const next = { scenario, events }
+  const errors = validateScenario(getServiceScenario(next))
+  return errors.length > 0 ? { errors, code: 'invalid' } : { state: next }
+}
+
+// Replace the roster, and the clinic day with it when slotConfig is given, so blocked
+// slots are checked against the day they belong to. Bookings of providers who left or
+// of slots no longer on the schedule are dropped; the rest stay.
+export const withRoster = (state, providers, slotConfig = state.scenario.slotConfig) => {
+  if (!Array.isArray(providers)) {
+    return { errors: ['providers must be an array'], code: 'invalid' }
+  }
+  const ids = new Set(providers.map(p => p?.id))
+  // An invalid clinic day is reported by the scenario validation below
+  const slotIds = typeof slotConfig === 'object' && slotConfig !== null && validateSlotConfig(slotConfig).length === 0
+    ? new Set(generateTimeSlots(slotConfig).map(slot => slot.id))
+    : null
+  const events = state.events.filter(event => ids.has(event.providerId) && (!slotIds || slotIds.has(event.slotId)))
+  return withValidatedScenario(state, { ...state.scenario, providers, slotConfig }, events)
+}
+
+const SCORING_KEYS = ['weight1', 'weight2', 'strategy', 'strategyParams', 'tieBreak', 'compareRawScores']
+
+// Change the scoring settings: any of weight1, weight2, strategy, strategyParams,
+// tieBreak and compareRawScores. A new strategy without params starts from its defaults.
+// The weights must still add up to 1, as the grid's sliders keep them.
+export const withScoring = (state, changes) => {
+  const unknown = Object.keys(changes || {}).filter(key => !SCORING_KEYS.includes(key))
+  if (!changes || typeof changes !== 'object' || unknown.length > 0) {
+    return { errors: [`Scoring changes may only set ${SCORING_KEYS.join(', ')}${unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''}`], code: 'invalid' }
+  }
+  const scoring = { ...state.scenario.scoring, ...changes }
+  if (changes.strategy !== undefined && changes.strategyParams === undefined) {
+    scoring.strategyParams = {}
+  }
+  const weightSum = scoring.weight1 + scoring.weight2
+  if (typeof weightSum === 'number' && Math.abs(weightSum - 1) > 1e-9) {
+    return { errors: [`weight1 and weight2 must add up to 1, got ${scoring.weight1} + ${scoring.weight2}`], code: 'invalid' }
+  }
+  return withValidatedScenario(state, { ...state.scenario, scoring }, state.events)
+}
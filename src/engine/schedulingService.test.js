@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../data/providers.js'
+import { DEFAULT_DEMAND } from './demand.js'
+import { createScenario } from './scenario.js'
+import {
+  commitBooking,
+  createServiceState,
+  getBoard,
+  getScores,
+  getServiceScenario,
+  getSlotWinner,
+  parsePatientState,
+  releaseBooking,
+  withRoster,
+  withScoring
+} from './schedulingService.js'
+import { createEngineContext, getHighlightedSlots } from './scoring.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+const state = createServiceState(createScenario({
+  providers: initialProviders,
+  slotConfig: defaultSlotConfig,
+  strategy: 'exponential',
+  strategyParams: {},
+  weight1: 0.8,
+  weight2: 0.2,
+  tieBreak: 'slotHash',
+  compareRawScores: false,
+  seed: 1,
+  runSeed: null,
+  speed: 1560,
+  demand: DEFAULT_DEMAND,
+  selectedSlots: {},
+  events: []
+}))
+const slotId = timeSlots[0].id
+
+// Book a slot for its current winner
+const bookWinner = (serviceState, id = slotId, patientState = null) => {
+  const { winnerId } = getSlotWinner(serviceState, id, patientState)
+  return commitBooking(serviceState, { providerId: winnerId, slotId: id, patientState })
+}
+
+describe('scheduling service answers', () => {
+  it('gives the same winners as the grid engine', () => {
+    const context = createEngineContext({ providers: initialProviders, timeSlots, weight1: 0.8, weight2: 0.2, tieBreakSeed: 1 })
+    const expected = Object.fromEntries(getHighlightedSlots({}, context).map(h => [h.slotId, h.providerId]))
+    assert.deepEqual(getBoard(state).winners, expected)
+    assert.equal(getSlotWinner(state, slotId).winnerId, expected[slotId])
+  })
+
+  it('only lets providers licensed in the patient state win', () => {
+    const winner = getSlotWinner(state, slotId, 'TX')
+    assert.ok([5, 7].includes(winner.winnerId))
+    assert.ok(winner.candidates.every(c => [5, 7].includes(c.id)))
+    assert.deepEqual(parsePatientState('tx'), { patientState: 'TX' })
+    assert.equal(parsePatientState('Texas').code, 'invalid')
+  })
+
+  it('reports an unknown slot as not found', () => {
+    assert.equal(getSlotWinner(state, '2024-01-01-25-0').code, 'notFound')
+  })
+
+  it('lists every provider with a JSON-safe score', () => {
+    const scores = getScores(withRoster(state, [...initialProviders, { id: 9, name: 'Unlicensed', licenses: 0, states: [] }]).state)
+    assert.equal(scores.length, initialProviders.length + 1)
+    assert.equal(scores.find(s => s.id === 9).score, null)
+  })
+})
+
+describe('scheduling service bookings', () => {
+  it('books the winner and frees the slot again', () => {
+    const booked = bookWinner(state)
+    assert.equal(booked.event.selected, true)
+    const providerId = booked.event.providerId
+    assert.equal(getScores(booked.state).find(s => s.id === providerId).booked, 1)
+    assert.equal(getServiceScenario(booked.state).selection.selectedSlots[providerId][slotId], true)
+
+    const released = releaseBooking(booked.state, { providerId, slotId })
+    assert.equal(released.event.selected, false)
+    assert.equal(getScores(released.state).find(s => s.id === providerId).booked, 0)
+  })
+
+  it('refuses other providers unless forced, and double bookings', () => {
+    const { winnerId } = getSlotWinner(state, slotId)
+    const other = initialProviders.find(p => p.id !== winnerId).id
+    assert.equal(commitBooking(state, { providerId: other, slotId }).code, 'conflict')
+    const forced = commitBooking(state, { providerId: other, slotId, force: true })
+    assert.equal(forced.event.providerId, other)
+    assert.equal(commitBooking(forced.state, { providerId: other, slotId, force: true }).code, 'conflict')
+  })
+
+  it('refuses unlicensed providers even when forced', () => {
+    assert.equal(commitBooking(state, { providerId: 4, slotId, patientState: 'TX', force: true }).code, 'conflict')
+  })
+
+  it('reports unknown providers, slots and bookings as not found', () => {
+    assert.equal(commitBooking(state, { providerId: 99, slotId }).code, 'notFound')
+    assert.equal(commitBooking(state, { providerId: 1, slotId: 'nope' }).code, 'notFound')
+    assert.equal(releaseBooking(state, { providerId: 1, slotId }).code, 'notFound')
+  })
+})
+
+describe('scheduling service settings', () => {
+  it('replaces the roster, dropping the bookings of providers who left', () => {
+    const booked = bookWinner(state)
+    const kept = initialProviders.filter(p => p.id !== booked.event.providerId)
+    const { state: next } = withRoster(booked.state, kept)
+    assert.deepEqual(next.events, [])
+    assert.deepEqual(withRoster(booked.state, initialProviders).state.events, booked.state.events)
+  })
+
+  it('changes the clinic day with the roster, checking blocked slots against it', () => {
+    const slotConfig = { ...defaultSlotConfig, startDate: '2024-01-02' }
+    const blocked = [{ ...initialProviders[0], availability: { blockedSlots: ['2024-01-02-10-0'] } }]
+    assert.equal(withRoster(state, blocked).code, 'invalid')
+    const { state: next } = withRoster(bookWinner(state).state, blocked, slotConfig)
+    assert.deepEqual(next.scenario.slotConfig, slotConfig)
+    assert.deepEqual(next.events, []) // The booking was on the old day
+  })
+
+  it('rejects an invalid roster', () => {
+    assert.deepEqual(withRoster(state, 'everyone'), { errors: ['providers must be an array'], code: 'invalid' })
+    const result = withRoster(state, [{ id: 1, name: '', licenses: -1 }])
+    assert.equal(result.code, 'invalid')
+    assert.ok(result.errors.length > 0)
+  })
+
+  it('changes the scoring settings and starts a new strategy from its defaults', () => {
+    const { state: next } = withScoring(state, { weight1: 0.3, weight2: 0.7, strategy: 'linear' })
+    assert.equal(next.scenario.scoring.weight1, 0.3)
+    assert.equal(next.scenario.scoring.strategy, 'linear')
+    assert.deepEqual(next.scenario.scoring.strategyParams, {})
+  })
+
+  it('rejects unknown settings and weights that do not add up to 1', () => {
+    assert.equal(withScoring(state, { colour: 'red' }).code, 'invalid')
+    const result = withScoring(state, { weight1: 0.3, weight2: 0.2 })
+    assert.equal(result.code, 'invalid')
+    assert.match(result.errors[0], /add up to 1/)
+    assert.equal(withScoring(state, { weight1: 0.3 }).code, 'invalid')
+  })
+})
+
+describe('legacy rosters', () => {
+  it('orders and reports providers by their state lists, or the licenses count without one', () => {
+    const providers = [
+      { id: 1, name: 'Legacy', licenses: 2 },
+      { id: 2, name: 'Listed', licenses: 1, states: ['CA'] }
+    ]
+    const { state: next } = withRoster(state, providers)
+    assert.deepEqual(getScores(next).map(({ id, licenses }) => [id, licenses]), [[2, 1], [1, 2]])
+  })
+})
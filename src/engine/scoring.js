@@ -0,0 +1,291 @@
+// Framework-free prioritization engine.
+// Every function here is pure: it takes the roster, the slot list, the weights and a
+// selection state ({ providerId: { slotId: true } }) and never touches React state,
+// so the same logic can run in the grid, in a headless simulation or on a server.
+// Build the context argument with createEngineContext so derived data such as
+// provider availability is computed once rather than per call.
+
+import { buildAvailability } from './availability.js'
+import { buildSlotPositions, getConstraintBlock, getMinGuaranteed } from './constraints.js'
+import { getLicenseCount, isLicensedIn } from './licensing.js'
+import { DEFAULT_STRATEGY, getDefaultStrategyParams, getStrategy } from './strategies.js'
+import { DEFAULT_TIE_BREAK, getTieBreakPolicy } from './tieBreaking.js'
+
+// Bundle everything the engine needs besides the selection state.
+// strategy is a key of scoringStrategies; missing strategy params take their defaults.
+// tieBreak is a key of tieBreakPolicies and tieBreakSeed feeds its seeded random policy;
+// compareRawScores picks winners on the full score instead of the 2-decimal truncation.
+// patientState, when set, limits every slot to providers licensed in that state.
+export const createEngineContext = ({
+  providers,
+  timeSlots,
+  weight1,
+  weight2,
+  strategy = DEFAULT_STRATEGY,
+  strategyParams = {},
+  tieBreak = DEFAULT_TIE_BREAK,
+  tieBreakSeed = 0,
+  compareRawScores = false,
+  patientState = null
+}) => {
+  return {
+    providers,
+    timeSlots,
+    weight1,
+    weight2,
+    strategy,
+    strategyParams: { ...getDefaultStrategyParams(strategy), ...strategyParams },
+    tieBreak,
+    tieBreakSeed,
+    compareRawScores,
+    patientState,
+    availability: buildAvailability(providers, timeSlots),
+    slotPositions: buildSlotPositions(timeSlots)
+  }
+}
+
+// Truncate a number to 2 decimal places (scores are compared and displayed truncated)
+export const truncateToTwoDecimals = (num) => {
+  return Math.floor(num * 100) / 100
+}
+
+// Format truncated number to 2 decimal places string
+export const formatTruncatedScore = (num) => {
+  return truncateToTwoDecimals(num).toFixed(2)
+}
+
+// Check if a slot is selected for a provider
+export const isSlotSelected = (selection, providerId, slotId) => {
+  return selection[providerId]?.[slotId] || false
+}
+
+// Check if a provider's availability mask rules a slot out (shift, break, PTO or blocked)
+export const isSlotBlocked = (context, providerId, slotId) => {
+  return Boolean(context.availability?.[providerId]?.blocked[slotId])
+}
+
+// Number of slots a provider can work in the current horizon
+export const getAvailableSlotCount = (context, providerId) => {
+  return context.availability?.[providerId]?.availableCount ?? context.timeSlots.length
+}
+
+// Count the slots currently selected for a provider
+export const countSelectedSlots = (selection, providerId) => {
+  return Object.values(selection[providerId] || {}).filter(Boolean).length
+}
+
+// Break a provider's score into the active strategy's weighted terms.
+// Every strategy sees the same inputs: x = (slots remaining for a provider) / (slots
+// the provider is available for), b = number of states licensed, the number of slots booked
+// so far and the provider's recent utilization from the roster.
+export const getScoreTerms = (provider, selection, context) => {
+  const strategy = getStrategy(context.strategy)
+  const availableSlots = getAvailableSlotCount(context, provider.id)
+  const bookedCount = countSelectedSlots(selection, provider.id)
+  const slotsRemaining = Math.max(0, availableSlots - bookedCount)
+  const inputs = {
+    x: availableSlots > 0 ? slotsRemaining / availableSlots : 0,
+    b: getLicenseCount(provider),
+    bookedCount,
+    recentUtilization: provider.recentUtilization || 0
+  }
+  const params = { weight1: context.weight1, weight2: context.weight2, ...context.strategyParams }
+  return strategy.terms(inputs, params)
+}
+
+// Calculate availability score with the active strategy, by default
+// y = weight1*x + weight2*e^(-1.2(b-1)) where e is Euler's number
+export const calculateAvailabilityScore = (provider, selection, context) => {
+  if (getLicenseCount(provider) === 0 && getStrategy(context.strategy).usesLicenses) return Infinity // Avoid division issues
+  return getScoreTerms(provider, selection, context)
+    .reduce((score, term) => score + term.weight * term.value, 0)
+}
+
+// Booked slots of a provider, from the score cache when there is one
+const getBookedCount = (selection, providerId, cache) => {
+  return cache ? cache.bookedCounts[providerId] : countSelectedSlots(selection, providerId)
+}
+
+// Scores and booking counts for one selection, kept up to date a slot at a time.
+// A provider's score only depends on their own bookings, so a booking or release
+// re-scores that provider alone instead of the whole roster. Pass the cache to
+// getSlotDecision, getMaxScoreProviderForSlot or getHighlightedSlots together with
+// its selection to skip the re-scoring there.
+//   { selection, scores: { providerId: rawScore }, bookedCounts: { providerId: n }, totalBookings }
+export const createScoreCache = (selection, context) => {
+  const bookedCounts = Object.fromEntries(context.providers.map(provider => [provider.id, countSelectedSlots(selection, provider.id)]))
+  return {
+    selection,
+    scores: Object.fromEntries(context.providers.map(provider => [provider.id, calculateAvailabilityScore(provider, selection, context)])),
+    bookedCounts,
+    totalBookings: Object.values(bookedCounts).reduce((sum, count) => sum + count, 0)
+  }
+}
+
+// Cache for the selection with one slot booked (selected = true) or freed again
+export const updateScoreCache = (cache, providerId, slotId, selected, context) => {
+  if (isSlotSelected(cache.selection, providerId, slotId) === selected) return cache
+  const selection = selected
+    ? withSlotSelected(cache.selection, providerId, slotId)
+    : withSlotReleased(cache.selection, providerId, slotId)
+  const provider = context.providers.find(p => p.id === providerId)
+  const change = selected ? 1 : -1
+  return {
+    selection,
+    scores: { ...cache.scores, [providerId]: calculateAvailabilityScore(provider, selection, context) },
+    bookedCounts: { ...cache.bookedCounts, [providerId]: (cache.bookedCounts[providerId] || 0) + change },
+    totalBookings: cache.totalBookings + change
+  }
+}
+
+// Pick one provider out of a tie with the context's tie-break policy.
+// Returns { policy, winnerId, tiedIds, index, reason } with tiedIds ordered by provider ID.
+export const breakTie = (tiedCandidates, slotId, selection, context, cache = null) => {
+  const tied = [...tiedCandidates]
+    .sort((a, b) => a.id - b.id)
+    .map(candidate => ({
+      id: candidate.id,
+      licenses: getLicenseCount(context.providers.find(p => p.id === candidate.id)),
+      bookedCount: getBookedCount(selection, candidate.id, cache)
+    }))
+  const totalBookings = cache
+    ? cache.totalBookings
+    : Object.keys(selection).reduce((sum, providerId) => sum + countSelectedSlots(selection, providerId), 0)
+  const { index, reason } = getTieBreakPolicy(context.tieBreak).pick(tied, {
+    slotId,
+    seed: context.tieBreakSeed,
+    totalBookings
+  })
+  return {
+    policy: context.tieBreak,
+    winnerId: tied[index].id,
+    tiedIds: tied.map(c => c.id),
+    index,
+    reason
+  }
+}
+
+// Why a provider can't take a slot right now: 'booked', an availability reason ('pto',
+// 'shift', 'break', 'blocked'), 'unlicensed' (not licensed in the patient's state) or a
+// limit they would break ('dailyCap', 'consecutive', 'breakDue'); null if they can
+export const getExclusionReason = (provider, slotId, selection, context) => {
+  if (isSlotSelected(selection, provider.id, slotId)) return 'booked'
+  if (isSlotBlocked(context, provider.id, slotId)) return context.availability[provider.id].blocked[slotId]
+  if (!isLicensedIn(provider, context.patientState)) return 'unlicensed'
+  return getConstraintBlock(provider, slotId, selection, context)
+}
+
+// Score every provider that can still take a slot and decide who wins it.
+// Providers excluded by getExclusionReason are not candidates. Candidates still short
+// of their guaranteed minimum (belowGuarantee) compete among themselves first.
+// Returns null when no provider can take the slot, otherwise
+// { slotId, winnerId, candidates, maxScore, tieBreak } where tieBreak is null
+// unless several providers share the highest score. Scores are compared truncated
+// to 2 decimals unless the context asks for raw scores. A score cache for the
+// selection (createScoreCache) saves re-scoring every candidate.
+export const getSlotDecision = (slotId, selection, context, cache = null) => {
+  const candidates = context.providers
+    .filter(provider => getExclusionReason(provider, slotId, selection, context) === null)
+    .map(provider => {
+      const rawScore = cache ? cache.scores[provider.id] : calculateAvailabilityScore(provider, selection, context)
+      const minGuaranteed = getMinGuaranteed(provider)
+      return {
+        id: provider.id,
+        score: truncateToTwoDecimals(rawScore),
+        rawScore,
+        belowGuarantee: minGuaranteed > 0 && getBookedCount(selection, provider.id, cache) < minGuaranteed
+      }
+    })
+
+  if (candidates.length === 0) {
+    return null // No available providers for this slot
+  }
+
+  const guaranteed = candidates.filter(c => c.belowGuarantee)
+  const contenders = guaranteed.length > 0 ? guaranteed : candidates
+  const scoreKey = context.compareRawScores ? 'rawScore' : 'score'
+  const maxScore = Math.max(...contenders.map(c => c[scoreKey]))
+  const maxScoreCandidates = contenders.filter(c => c[scoreKey] === maxScore)
+
+  if (maxScoreCandidates.length === 1) {
+    return { slotId, winnerId: maxScoreCandidates[0].id, candidates, maxScore, tieBreak: null }
+  }
+
+  const tieBreak = breakTie(maxScoreCandidates, slotId, selection, context, cache)
+  return { slotId, winnerId: tieBreak.winnerId, candidates, maxScore, tieBreak }
+}
+
+// Get the provider ID with maximum score for a given slot (column), or null if none is available
+export const getMaxScoreProviderForSlot = (slotId, selection, context, cache = null) => {
+  return getSlotDecision(slotId, selection, context, cache)?.winnerId ?? null
+}
+
+// Full reasoning behind a slot's winner, for the explain panel: every candidate's
+// weighted terms and scores plus the providers that could not take the slot and why.
+//   { slotId, winnerId, maxScore, compareRawScores, patientState, tieBreak,
+//     candidates: [{ id, terms: [{ key, label, weight, value, contribution }], rawScore, score, isTied }],
+//     excluded: [{ id, reason }] }
+// candidates are ordered best first (those below their guarantee ahead of the rest);
+// reason is one of getExclusionReason's.
+// winnerId is null when nobody can take the slot.
+export const explainSlotDecision = (slotId, selection, context) => {
+  const decision = getSlotDecision(slotId, selection, context)
+  const tiedIds = decision?.tieBreak?.tiedIds || []
+  const candidates = (decision?.candidates || [])
+    .map(candidate => {
+      const provider = context.providers.find(p => p.id === candidate.id)
+      const terms = getScoreTerms(provider, selection, context)
+        .map(term => ({ ...term, contribution: term.weight * term.value }))
+      return { ...candidate, terms, isTied: tiedIds.includes(candidate.id) }
+    })
+    .sort((a, b) => b.belowGuarantee - a.belowGuarantee || b.rawScore - a.rawScore || a.id - b.id)
+  const excluded = context.providers
+    .filter(provider => !candidates.some(c => c.id === provider.id))
+    .map(provider => ({ id: provider.id, reason: getExclusionReason(provider, slotId, selection, context) }))
+
+  return {
+    slotId,
+    winnerId: decision?.winnerId ?? null,
+    maxScore: decision?.maxScore ?? null,
+    compareRawScores: Boolean(context.compareRawScores),
+    patientState: context.patientState ?? null,
+    tieBreak: decision?.tieBreak ?? null,
+    candidates,
+    excluded
+  }
+}
+
+// Get every slot that still has a winner, in time order, with the winner's raw score
+export const getHighlightedSlots = (selection, context, cache = null) => {
+  const highlightedSlots = []
+  context.timeSlots.forEach((slot, timeIndex) => {
+    const decision = getSlotDecision(slot.id, selection, context, cache)
+    if (decision !== null) {
+      const score = decision.candidates.find(c => c.id === decision.winnerId).rawScore
+      highlightedSlots.push({ slotId: slot.id, providerId: decision.winnerId, timeIndex, score })
+    }
+  })
+  return highlightedSlots
+}
+
+// Return a copy of the selection with one more slot marked as selected
+export const withSlotSelected = (selection, providerId, slotId) => {
+  return {
+    ...selection,
+    [providerId]: {
+      ...selection[providerId],
+      [slotId]: true
+    }
+  }
+}
+
+// Return a copy of the selection with a slot freed again (a cancellation or no-show)
+export const withSlotReleased = (selection, providerId, slotId) => {
+  return {
+    ...selection,
+    [providerId]: {
+      ...selection[providerId],
+      [slotId]: false
+    }
+  }
+}
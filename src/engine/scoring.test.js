@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  calculateAvailabilityScore,
+  countSelectedSlots,
+  createEngineContext,
+  createScoreCache,
+  formatTruncatedScore,
+  getHighlightedSlots,
+  getSlotDecision,
+  truncateToTwoDecimals,
+  updateScoreCache,
+  withSlotReleased,
+  withSlotSelected
+} from './scoring.js'
+import { getSlotHash, tieBreakPolicies } from './tieBreaking.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+// The default clinic day: 18 ten-minute slots from 10:00 to 13:00
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+
+const buildContext = (providers, options = {}) => createEngineContext({
+  providers,
+  timeSlots,
+  weight1: 0.8,
+  weight2: 0.2,
+  ...options
+})
+
+// Selection with the given providers booked into the given slots
+const bookAll = (bookings) => {
+  return bookings.reduce((selection, [providerId, slotId]) => withSlotSelected(selection, providerId, slotId), {})
+}
+
+describe('score formula', () => {
+  it('scores w1·x + w2·e^(-1.2(b-1)) by default', () => {
+    const provider = { id: 1, name: 'A', licenses: 3 }
+    const selection = bookAll([[1, timeSlots[0].id], [1, timeSlots[1].id]])
+    const expected = 0.8 * 16 / 18 + 0.2 * Math.exp(-1.2 * 2)
+    assert.ok(Math.abs(calculateAvailabilityScore(provider, selection, buildContext([provider])) - expected) < 1e-12)
+  })
+
+  it('truncates rather than rounds to two decimals', () => {
+    assert.equal(truncateToTwoDecimals(0.8699), 0.86)
+    assert.equal(formatTruncatedScore(1), '1.00')
+    assert.equal(formatTruncatedScore(0.999), '0.99')
+  })
+})
+
+describe('selection helpers', () => {
+  it('books and frees slots without changing the selection passed in', () => {
+    const empty = {}
+    const booked = withSlotSelected(empty, 1, timeSlots[0].id)
+    assert.deepEqual(empty, {})
+    assert.equal(countSelectedSlots(booked, 1), 1)
+    const freed = withSlotReleased(booked, 1, timeSlots[0].id)
+    assert.equal(countSelectedSlots(booked, 1), 1)
+    assert.equal(countSelectedSlots(freed, 1), 0)
+  })
+})
+
+describe('getSlotDecision', () => {
+  // With 3 of 18 slots booked, provider 1 (1 license) scores 0.8667 and provider 2
+  // (2 licenses, nothing booked) 0.8602: both truncate to 0.86
+  const providers = [
+    { id: 1, name: 'One license', licenses: 1 },
+    { id: 2, name: 'Two licenses', licenses: 2 }
+  ]
+  const selection = bookAll([
+    [1, '2024-01-01-10-0'],
+    [1, '2024-01-01-10-10'],
+    [1, '2024-01-01-10-20']
+  ])
+  const slotId = '2024-01-01-11-0' // slot hash 11, so a two-way tie goes to index 1
+
+  it('ties on truncated scores and breaks the tie', () => {
+    const decision = getSlotDecision(slotId, selection, buildContext(providers))
+    assert.equal(decision.maxScore, 0.86)
+    assert.deepEqual(decision.tieBreak.tiedIds, [1, 2])
+    assert.equal(decision.tieBreak.policy, 'slotHash')
+    assert.equal(decision.winnerId, 2)
+  })
+
+  it('picks the higher raw score without a tie when comparing raw scores', () => {
+    const decision = getSlotDecision(slotId, selection, buildContext(providers, { compareRawScores: true }))
+    assert.equal(decision.tieBreak, null)
+    assert.equal(decision.winnerId, 1)
+    assert.ok(Math.abs(decision.maxScore - (0.8 * 15 / 18 + 0.2)) < 1e-12)
+  })
+
+  it('returns null when every provider is booked in the slot', () => {
+    const booked = bookAll([[1, slotId], [2, slotId]])
+    assert.equal(getSlotDecision(slotId, booked, buildContext(providers)), null)
+  })
+})
+
+describe('slotHash tie-break', () => {
+  it('hashes a slot ID by hour plus minute', () => {
+    assert.equal(getSlotHash('2024-01-01-10-40'), 50)
+    assert.equal(getSlotHash('2024-01-01-9-0'), 9)
+  })
+
+  it('picks the tied provider at slot hash mod the number tied', () => {
+    const tied = [{ id: 3 }, { id: 5 }, { id: 8 }]
+    const { index, reason } = tieBreakPolicies.slotHash.pick(tied, { slotId: '2024-01-01-10-40' })
+    assert.equal(index, 50 % 3)
+    assert.match(reason, /slot hash 50/)
+  })
+})
+
+describe('calculateAvailabilityScore', () => {
+  it('scores a provider with 0 licenses as Infinity under a license-based strategy', () => {
+    const unlicensed = { id: 1, name: 'No licenses', licenses: 0 }
+    const context = buildContext([unlicensed, { id: 2, name: 'Licensed', licenses: 1 }])
+    assert.equal(calculateAvailabilityScore(unlicensed, {}, context), Infinity)
+    assert.equal(getSlotDecision(timeSlots[0].id, {}, context).winnerId, 1)
+  })
+
+  it('gives a finite score to 0 licenses when the strategy ignores licenses', () => {
+    const unlicensed = { id: 1, name: 'No licenses', licenses: 0 }
+    const context = buildContext([unlicensed], { strategy: 'utilization' })
+    assert.ok(Number.isFinite(calculateAvailabilityScore(unlicensed, {}, context)))
+  })
+})
+
+describe('getHighlightedSlots', () => {
+  const providers = [
+    { id: 1, name: 'A', licenses: 1 },
+    { id: 2, name: 'B', licenses: 3 }
+  ]
+
+  it('lists every open slot in time order with its winner', () => {
+    const highlighted = getHighlightedSlots({}, buildContext(providers))
+    assert.deepEqual(highlighted.map(h => h.slotId), timeSlots.map(slot => slot.id))
+    assert.deepEqual(highlighted.map(h => h.timeIndex), timeSlots.map((_, index) => index))
+    assert.ok(highlighted.every(h => h.providerId === 1))
+  })
+
+  it('skips slots nobody can take any more', () => {
+    const selection = bookAll([[1, timeSlots[2].id], [2, timeSlots[2].id]])
+    const highlighted = getHighlightedSlots(selection, buildContext(providers))
+    assert.equal(highlighted.length, timeSlots.length - 1)
+    assert.ok(!highlighted.some(h => h.slotId === timeSlots[2].id))
+    assert.deepEqual(highlighted.map(h => h.timeIndex), [...highlighted.map(h => h.timeIndex)].sort((a, b) => a - b))
+  })
+})
+
+describe('score cache', () => {
+  const providers = [
+    { id: 1, name: 'A', licenses: 1 },
+    { id: 2, name: 'B', licenses: 2 },
+    { id: 3, name: 'C', licenses: 4 }
+  ]
+  const context = buildContext(providers)
+  const changes = [
+    [1, timeSlots[0].id, true],
+    [2, timeSlots[1].id, true],
+    [1, timeSlots[2].id, true],
+    [3, timeSlots[0].id, true],
+    [1, timeSlots[0].id, false],
+    [2, timeSlots[5].id, true],
+    [2, timeSlots[5].id, true] // Booking a booked slot again changes nothing
+  ]
+
+  it('matches a full re-score after every booking and release', () => {
+    let cache = createScoreCache({}, context)
+    changes.forEach(([providerId, slotId, selected]) => {
+      cache = updateScoreCache(cache, providerId, slotId, selected, context)
+      const rescored = createScoreCache(cache.selection, context)
+      assert.deepEqual(cache.scores, rescored.scores)
+      assert.deepEqual(cache.bookedCounts, rescored.bookedCounts)
+      assert.equal(cache.totalBookings, rescored.totalBookings)
+    })
+  })
+
+  it('gives the same winners as scoring without a cache', () => {
+    const cache = changes.reduce(
+      (current, [providerId, slotId, selected]) => updateScoreCache(current, providerId, slotId, selected, context),
+      createScoreCache({}, context)
+    )
+    assert.deepEqual(
+      getHighlightedSlots(cache.selection, context, cache),
+      getHighlightedSlots(cache.selection, context)
+    )
+  })
+})
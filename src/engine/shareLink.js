@@ -0,0 +1,57 @@
+// Share links: a scenario packed into the URL hash (#z=...) so pasting the link opens
+// the simulator on the same roster, clinic day, scoring, seed and speed.
+// The scenario JSON is compressed with raw DEFLATE and encoded as base64url; the
+// export timestamp is left out, and bookings with their event history are only
+// included on request. Links from before compression (#s=..., plain base64url JSON)
+// still open. Compression streams are asynchronous, so both directions return promises.
+
+import { parseScenario } from './scenario.js'
+
+const HASH_PREFIX = '#z='
+const PLAIN_HASH_PREFIX = '#s='
+
+const toBase64Url = (bytes) => {
+  let binary = ''
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte)
+  })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+const transformBytes = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+// URL hash for a scenario built with createScenario
+export const encodeShareHash = async (scenario, { includeSelection = false } = {}) => {
+  const compact = {
+    ...scenario,
+    exportedAt: undefined,
+    selection: includeSelection ? scenario.selection : { selectedSlots: {}, events: [] }
+  }
+  const bytes = new TextEncoder().encode(JSON.stringify(compact))
+  return HASH_PREFIX + toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))
+}
+
+// Read a share link's hash: null when it holds no scenario, otherwise the result of parseScenario
+export const decodeShareHash = async (hash) => {
+  const isCompressed = hash.startsWith(HASH_PREFIX)
+  if (!isCompressed && !hash.startsWith(PLAIN_HASH_PREFIX)) return null
+  let text
+  try {
+    const bytes = fromBase64Url(hash.slice((isCompressed ? HASH_PREFIX : PLAIN_HASH_PREFIX).length))
+    const json = isCompressed ? await transformBytes(bytes, new DecompressionStream('deflate-raw')) : bytes
+    text = new TextDecoder('utf-8', { fatal: true }).decode(json)
+    JSON.parse(text) // A cut-off link usually still decodes, but not to JSON
+  } catch {
+    return { errors: ['The share link is damaged (it may have been cut off when it was pasted)'] }
+  }
+  return parseScenario(text)
+}
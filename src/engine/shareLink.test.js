@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createScenario } from './scenario.js'
+import { decodeShareHash, encodeShareHash } from './shareLink.js'
+import { createSelectionEvent } from './timeline.js'
+import { defaultSlotConfig } from './timeSlots.js'
+
+const scenario = createScenario({
+  providers: [
+    { id: 1, name: 'Dr. Zoë', licenses: 2, states: ['CA', 'NY'] },
+    { id: 2, name: 'NP Lee', licenses: 1, states: ['TX'] }
+  ],
+  slotConfig: defaultSlotConfig,
+  strategy: 'exponential',
+  strategyParams: { decay: 1.2 },
+  weight1: 0.8,
+  weight2: 0.2,
+  seed: 42,
+  runSeed: 42,
+  speed: 1560,
+  selectedSlots: { 1: { '2024-01-01-10-0': true } },
+  events: [createSelectionEvent(1, '2024-01-01-10-0', true, 1, 0.95)]
+})
+
+describe('share links', () => {
+  it('round-trips a scenario without its bookings by default', async () => {
+    const { scenario: decoded } = await decodeShareHash(await encodeShareHash(scenario))
+    assert.deepEqual(decoded.providers, scenario.providers)
+    assert.deepEqual(decoded.selection, { selectedSlots: {}, events: [] })
+  })
+
+  it('carries bookings and their event history on request', async () => {
+    const hash = await encodeShareHash(scenario, { includeSelection: true })
+    const { scenario: decoded } = await decodeShareHash(hash)
+    assert.deepEqual(decoded.selection, scenario.selection)
+  })
+
+  it('still opens uncompressed links', async () => {
+    const json = JSON.stringify(scenario)
+    const hash = '#s=' + btoa(String.fromCharCode(...new TextEncoder().encode(json))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    const { scenario: decoded } = await decodeShareHash(hash)
+    assert.deepEqual(decoded.providers, scenario.providers)
+  })
+
+  it('reports a cut-off link and ignores other hashes', async () => {
+    const hash = await encodeShareHash(scenario, { includeSelection: true })
+    const { errors } = await decodeShareHash(hash.slice(0, hash.length / 2))
+    assert.match(errors[0], /damaged/)
+    assert.equal(await decodeShareHash('#grid'), null)
+  })
+})
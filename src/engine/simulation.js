@@ -0,0 +1,229 @@
+// Booking simulation, shared by the live grid and the headless batch runner.
+// Each iteration first lets some of the previous iteration's bookings cancel, then
+// serves the patients the demand model sends, re-scoring after every booking. The
+// default demand model books one slot from the first 20% of the open slots, then one
+// from the 20-50% band and one from the 50-70% band.
+
+import {
+  countSelectedSlots,
+  createScoreCache,
+  getHighlightedSlots,
+  isSlotSelected,
+  updateScoreCache,
+  withSlotReleased,
+  withSlotSelected
+} from './scoring.js'
+import { DEFAULT_DEMAND, getDefaultDemandParams, getDemandModel } from './demand.js'
+import { getLicenseCount, getRosterStates } from './licensing.js'
+import { createRandom, generateSeed, MAX_SEED, normalizeSeed, randomForKey } from './random.js'
+import { giniCoefficient, histogram, mean, variance } from './stats.js'
+
+// A run ends after this many iterations in a row without a booking or a cancellation,
+// in case the demand model can never be served
+const MAX_IDLE_ITERATIONS = 1000
+
+// Demand that doesn't depend on how the bookings go, to run several configurations
+// against the very same patients. Each part of each iteration's demand (the arrivals,
+// each patient's state and choice, the cancellation draws) has its own stream of
+// random numbers, generated the first time a run asks for it and replayed to every
+// later run, so one configuration's picks can't shift another's patients.
+export const createDemandSequence = (seed) => {
+  const streams = new Map() // key -> { values, random }
+  return {
+    seed,
+    // Generator for one part of the demand, e.g. '3|patient 1'; each call with the
+    // same key starts again from the first number
+    stream: (key) => {
+      if (!streams.has(key)) {
+        streams.set(key, { values: [], random: createRandom(Math.floor(randomForKey(seed, key) * (MAX_SEED + 1))) })
+      }
+      const { values, random } = streams.get(key)
+      let position = 0
+      return () => {
+        if (position === values.length) values.push(random())
+        return values[position++]
+      }
+    }
+  }
+}
+
+// Generator for iteration number iteration (counted from 1, as on the timeline) of the
+// run seeded with seed. Every iteration draws from its own generator, so planning an
+// iteration again after a seek, an undo or a cancelled plan gets the same numbers as
+// the first time, however much was drawn for the discarded plans.
+export const createIterationRandom = (seed, iteration) => {
+  return createRandom(Math.floor(randomForKey(seed, `iteration ${iteration}`) * (MAX_SEED + 1)))
+}
+
+// Work out what one iteration will do, without applying it.
+// recentBookings are the previous iteration's picks ([{ providerId, slotId }]); each
+// still-booked one is released with probability demand.cancellationRate.
+// Returns { picks, releases, unmet, selection }: the slots booked in order ([] when
+// nothing was booked), the slots freed ([{ providerId, slotId, score }] with the
+// provider's score before the release), the number of patients who could not be
+// served and the selection after all of it. With the default demand model a band
+// that yields no slot ends the iteration early, as the live grid always has.
+// When demand.matchPatientStates is true, each patient comes from a random state
+// on the roster and only providers licensed there can take them; a patient state set
+// on the context instead applies to every patient. Picks carry the patientState.
+// With a demandSequence (see createDemandSequence) the patients of iteration number
+// iteration come from it instead of random.
+export const planIteration = (selection, context, random = Math.random, { demand = DEFAULT_DEMAND, recentBookings = [], demandSequence = null, iteration = 0 } = {}) => {
+  const model = getDemandModel(demand.model)
+  const params = { ...getDefaultDemandParams(demand.model), ...demand.params }
+  const picks = []
+  const releases = []
+  let unmet = 0
+  let cache = createScoreCache(selection, context) // Only the provider just booked or freed is re-scored
+  const streamFor = (part) => (demandSequence ? demandSequence.stream(`${iteration}|${part}`) : random)
+
+  if (demand.cancellationRate > 0) {
+    const cancellationRandom = streamFor('cancellations')
+    recentBookings.forEach(({ providerId, slotId }) => {
+      if (isSlotSelected(cache.selection, providerId, slotId) && cancellationRandom() < demand.cancellationRate) {
+        releases.push({ providerId, slotId, score: cache.scores[providerId] })
+        cache = updateScoreCache(cache, providerId, slotId, false, context)
+      }
+    })
+  }
+
+  const rosterStates = !context.patientState && demand.matchPatientStates === true ? getRosterStates(context.providers) : []
+  const requests = model.requests(context, params, streamFor('arrivals'))
+  for (const [index, request] of requests.entries()) {
+    const patientRandom = streamFor(`patient ${index}`)
+    const patientState = rosterStates.length > 0
+      ? rosterStates[Math.floor(patientRandom() * rosterStates.length)]
+      : context.patientState ?? null
+    const patientContext = patientState === context.patientState ? context : { ...context, patientState }
+    const highlightedSlots = getHighlightedSlots(cache.selection, patientContext, cache)
+    const slot = request(highlightedSlots, cache.selection, patientContext, patientRandom)
+    if (!slot) {
+      if (model.endsIterationOnMiss) break
+      unmet++
+      continue
+    }
+
+    picks.push({ ...slot, patientState })
+    cache = updateScoreCache(cache, slot.providerId, slot.slotId, true, context)
+  }
+
+  return { picks, releases, unmet, selection: cache.selection }
+}
+
+// Run iterations until every slot has been booked, with no timers involved.
+// maxBookings stops the run part-way through an iteration once that many slots
+// are booked (net of cancellations), to look at the allocation at a given level of demand.
+// To carry on a run part-way through, pass its selection and the last iteration's
+// bookings as recentBookings. onIteration({ releases, picks }, index) sees what each
+// iteration applied, with index counting from 0. A demandSequence replaces random for
+// the patients, so runs with different settings can be compared on the same demand.
+// A seed gives each iteration its own generator (createIterationRandom) in place of
+// random; iterations are numbered from firstIteration, so a run carried on from the
+// timeline draws the same numbers as one played there.
+export const runSimulation = (context, {
+  selection = {},
+  random = Math.random,
+  seed = null,
+  firstIteration = 1,
+  demandSequence = null,
+  maxBookings = Infinity,
+  demand = DEFAULT_DEMAND,
+  recentBookings: initialRecentBookings = [],
+  onIteration = null
+} = {}) => {
+  let currentSelection = selection
+  let iterations = 0
+  let bookings = 0
+  let releases = 0
+  let unmetRequests = 0
+  let idleIterations = 0
+  let recentBookings = initialRecentBookings
+
+  while (bookings < maxBookings && idleIterations < MAX_IDLE_ITERATIONS) {
+    const iteration = firstIteration + iterations
+    const iterationRandom = seed === null ? random : createIterationRandom(seed, iteration)
+    const plan = planIteration(currentSelection, context, iterationRandom, { demand, recentBookings, demandSequence, iteration })
+    if (plan.picks.length === 0 && plan.releases.length === 0 && getHighlightedSlots(currentSelection, context).length === 0) break
+
+    plan.releases.forEach(({ providerId, slotId }) => {
+      currentSelection = withSlotReleased(currentSelection, providerId, slotId)
+      bookings--
+    })
+    const applied = plan.picks.slice(0, maxBookings - bookings)
+    applied.forEach(slot => {
+      currentSelection = withSlotSelected(currentSelection, slot.providerId, slot.slotId)
+      bookings++
+    })
+    releases += plan.releases.length
+    unmetRequests += plan.unmet
+    idleIterations = applied.length === 0 && plan.releases.length === 0 ? idleIterations + 1 : 0
+    recentBookings = applied
+    onIteration?.({ releases: plan.releases, picks: applied }, iterations)
+    iterations++
+  }
+
+  return { selection: currentSelection, iterations, bookings, releases, unmetRequests }
+}
+
+// Run the simulation many times and summarise how the slots were shared out.
+// Runs go to completion unless maxBookings is given; a completed grid books every
+// provider into every slot, so fairness is only meaningful for a partial fill.
+// Per provider: mean, min, max and variance of booked slots across runs plus the full
+// distribution; overall: the Gini coefficient of each run's totals and its mean and variance.
+// Run r is seeded with seed + r, so any single run can be replayed in the grid.
+export const runBatch = (context, { runs = 1000, seed = generateSeed(), maxBookings = Infinity, demand = DEFAULT_DEMAND } = {}) => {
+  const totalsByProvider = Object.fromEntries(context.providers.map(p => [p.id, []]))
+  const giniByRun = []
+  const iterationsByRun = []
+  const releasesByRun = []
+  const unmetByRun = []
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = normalizeSeed(seed + run)
+    // The seeded random tie-break follows the run seed too, as it does in the grid
+    const runContext = { ...context, tieBreakSeed: runSeed }
+    const { selection, iterations, releases, unmetRequests } = runSimulation(runContext, { seed: runSeed, maxBookings, demand })
+    const totals = context.providers.map(provider => {
+      const total = countSelectedSlots(selection, provider.id)
+      totalsByProvider[provider.id].push(total)
+      return total
+    })
+    giniByRun.push(giniCoefficient(totals))
+    iterationsByRun.push(iterations)
+    releasesByRun.push(releases)
+    unmetByRun.push(unmetRequests)
+  }
+
+  const totalSlots = context.timeSlots.length
+  const providers = context.providers.map(provider => {
+    const totals = totalsByProvider[provider.id]
+    return {
+      id: provider.id,
+      name: provider.name,
+      licenses: getLicenseCount(provider),
+      meanSlots: mean(totals),
+      minSlots: Math.min(...totals),
+      maxSlots: Math.max(...totals),
+      variance: variance(totals),
+      share: totalSlots > 0 ? mean(totals) / totalSlots : 0,
+      distribution: histogram(totals)
+    }
+  })
+
+  return {
+    runs,
+    seed,
+    totalSlots,
+    maxBookings,
+    meanIterations: mean(iterationsByRun),
+    meanReleases: mean(releasesByRun),
+    meanUnmetRequests: mean(unmetByRun),
+    providers,
+    gini: {
+      mean: mean(giniByRun),
+      variance: variance(giniByRun),
+      min: Math.min(...giniByRun),
+      max: Math.max(...giniByRun)
+    }
+  }
+}
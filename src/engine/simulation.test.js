@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../data/providers.js'
+import { DEFAULT_DEMAND } from './demand.js'
+import { createRandom } from './random.js'
+import { createEngineContext, withSlotSelected } from './scoring.js'
+import { createDemandSequence, createIterationRandom, planIteration, runSimulation } from './simulation.js'
+import { defaultSlotConfig, generateTimeSlots } from './timeSlots.js'
+
+const timeSlots = generateTimeSlots(defaultSlotConfig)
+const contextFor = (weight1) => createEngineContext({ providers: initialProviders, timeSlots, weight1, weight2: 1 - weight1 })
+const stateMatching = { ...DEFAULT_DEMAND, matchPatientStates: true }
+
+describe('createDemandSequence', () => {
+  it('replays the same numbers for a key', () => {
+    const sequence = createDemandSequence(9)
+    const first = sequence.stream('0|arrivals')
+    const drawn = [first(), first(), first()]
+    const again = sequence.stream('0|arrivals')
+    assert.deepEqual([again(), again(), again()], drawn)
+    assert.notEqual(sequence.stream('0|patient 0')(), drawn[0])
+  })
+
+  it('gives the same patients whatever was booked before', () => {
+    const sequence = createDemandSequence(9)
+    const booked = timeSlots.slice(0, 6).reduce((selection, slot) => withSlotSelected(selection, 7, slot.id), {})
+    const options = { demand: stateMatching, demandSequence: sequence, iteration: 4 }
+    const fromEmpty = planIteration({}, contextFor(0.8), Math.random, options)
+    const fromBooked = planIteration(booked, contextFor(0.3), Math.random, options)
+    assert.equal(fromEmpty.picks[0].patientState, fromBooked.picks[0].patientState)
+  })
+
+  it('makes runs repeatable and independent of each other', () => {
+    const run = (sequence, weight1) => runSimulation(contextFor(weight1), { demandSequence: sequence, maxBookings: 40, demand: stateMatching }).selection
+    const shared = createDemandSequence(3)
+    const a = run(shared, 0.8)
+    run(shared, 0.2)
+    assert.deepEqual(run(shared, 0.8), a)
+    assert.deepEqual(run(createDemandSequence(3), 0.8), a)
+  })
+})
+
+describe('runSimulation', () => {
+  it('replays a run from its seed', () => {
+    const run = () => runSimulation(contextFor(0.8), { random: createRandom(5), maxBookings: 30 })
+    assert.deepEqual(run(), run())
+    assert.equal(run().bookings, 30)
+  })
+})
+
+describe('seeded runs', () => {
+  const context = contextFor(0.8)
+  const seed = 21
+
+  // Plan iterations first..last from a board the way the grid does, one request each
+  const playIterations = (selection, recentBookings, first, last) => {
+    const picks = []
+    for (let iteration = first; iteration <= last; iteration++) {
+      const plan = planIteration(selection, context, createIterationRandom(seed, iteration), { recentBookings })
+      picks.push(plan.picks.map(({ providerId, slotId }) => `${providerId}:${slotId}`))
+      selection = plan.selection
+      recentBookings = plan.picks
+    }
+    return { selection, recentBookings, picks }
+  }
+
+  it('gives the same picks after a seek back and resume as an uninterrupted run', () => {
+    const uninterrupted = playIterations({}, [], 1, 6)
+    const upToThree = playIterations({}, [], 1, 3)
+    playIterations(upToThree.selection, upToThree.recentBookings, 4, 5) // Planned, then discarded by seeking back
+    const resumed = playIterations(upToThree.selection, upToThree.recentBookings, 4, 6)
+    assert.deepEqual([...upToThree.picks, ...resumed.picks], uninterrupted.picks)
+  })
+
+  it('books what playing the run iteration by iteration books', () => {
+    const played = playIterations({}, [], 1, 4)
+    const run = runSimulation(context, { seed, maxBookings: 12 })
+    assert.deepEqual(run.selection, played.selection)
+    const carriedOn = runSimulation(context, { seed, firstIteration: 3, selection: playIterations({}, [], 1, 2).selection, maxBookings: 6 })
+    assert.deepEqual(carriedOn.selection, played.selection)
+  })
+})
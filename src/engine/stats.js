@@ -0,0 +1,37 @@
+// Summary statistics used to judge how evenly slots are spread across providers
+
+// Arithmetic mean of a list of numbers (0 for an empty list)
+export const mean = (values) => {
+  if (values.length === 0) return 0
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+// Population variance of a list of numbers
+export const variance = (values) => {
+  if (values.length === 0) return 0
+  const avg = mean(values)
+  return mean(values.map(value => (value - avg) ** 2))
+}
+
+// Gini coefficient: 0 = every provider got the same number of slots,
+// values approaching 1 = one provider got nearly everything
+export const giniCoefficient = (values) => {
+  const n = values.length
+  const avg = mean(values)
+  if (n === 0 || avg === 0) return 0
+  let absoluteDifferences = 0
+  values.forEach(a => {
+    values.forEach(b => {
+      absoluteDifferences += Math.abs(a - b)
+    })
+  })
+  return absoluteDifferences / (2 * n * n * avg)
+}
+
+// Count how often each value occurs: [3, 4, 3] -> { 3: 2, 4: 1 }
+export const histogram = (values) => {
+  return values.reduce((counts, value) => {
+    counts[value] = (counts[value] || 0) + 1
+    return counts
+  }, {})
+}
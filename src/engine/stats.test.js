@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { giniCoefficient, histogram, mean, variance } from './stats.js'
+
+describe('giniCoefficient', () => {
+  it('is 0 when every provider gets the same number of slots', () => {
+    assert.equal(giniCoefficient([4, 4, 4, 4]), 0)
+  })
+
+  it('is 0 for an empty list or no bookings at all', () => {
+    assert.equal(giniCoefficient([]), 0)
+    assert.equal(giniCoefficient([0, 0, 0]), 0)
+  })
+
+  it('is (n - 1) / n when one provider gets everything', () => {
+    assert.equal(giniCoefficient([0, 0, 0, 12]), 0.75)
+  })
+
+  it('matches the mean absolute difference over twice the mean', () => {
+    // Pairs differ by 1, 3 and 2, each counted both ways: 12 / (2 × 3² × 7/3) = 2/7
+    assert.ok(Math.abs(giniCoefficient([1, 2, 4]) - 2 / 7) < 1e-12)
+    assert.equal(giniCoefficient([3, 1, 2]), giniCoefficient([1, 2, 3]))
+  })
+})
+
+describe('summary statistics', () => {
+  it('gives the mean and population variance', () => {
+    assert.equal(mean([2, 4, 6]), 4)
+    assert.equal(variance([2, 4, 6]), 8 / 3)
+    assert.equal(mean([]), 0)
+    assert.equal(variance([]), 0)
+  })
+
+  it('counts how often each value occurs', () => {
+    assert.deepEqual(histogram([3, 4, 3]), { 3: 2, 4: 1 })
+  })
+})
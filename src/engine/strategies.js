@@ -0,0 +1,95 @@
+// Registry of scoring strategies.
+// Each strategy scores a provider as a weighted sum of terms, so the same breakdown
+// can be shown in the UI. A strategy provides:
+//   label        - name shown in the strategy picker
+//   usesWeights  - whether the weight1/weight2 sliders apply
+//   weightLabels - what the two weights multiply, for the slider labels
+//   usesLicenses - whether the score depends on b (licenses = 0 then scores Infinity)
+//   params       - extra numeric parameters with their slider ranges and defaults
+//   terms        - ({ x, b, bookedCount, recentUtilization }, { weight1, weight2, ...params })
+//                  -> [{ key, label, weight, value }]
+//   formula      - same second argument -> the formula as text for the header
+//   legend       - explanation of the symbols in the formula
+
+export const DEFAULT_STRATEGY = 'exponential'
+
+// Format a weight or parameter for a formula: 0.8 -> "0.8", 0.25 -> "0.25"
+const formatNumber = (value) => {
+  return String(Math.round(value * 100) / 100)
+}
+
+export const scoringStrategies = {
+  exponential: {
+    label: 'Exponential license term',
+    usesWeights: true,
+    weightLabels: ['x term', 'e term'],
+    usesLicenses: true,
+    params: [
+      { key: 'decay', label: 'Decay constant', min: 0.1, max: 3, step: 0.1, defaultValue: 1.2 }
+    ],
+    terms: ({ x, b }, { weight1, weight2, decay }) => [
+      { key: 'x', label: 'x', weight: weight1, value: x },
+      { key: 'license', label: `e^(-${formatNumber(decay)}(b-1))`, weight: weight2, value: Math.exp(-decay * (b - 1)) }
+    ],
+    formula: ({ weight1, weight2, decay }) => `y = ${formatNumber(weight1)}x + ${formatNumber(weight2)}e^(-${formatNumber(decay)}(b-1))`,
+    legend: 'y = availability score, x = (slots remaining)/(slots the provider is available for), b = number of states the provider is licensed in'
+  },
+  linear: {
+    label: 'Linear 1/b license term',
+    usesWeights: true,
+    weightLabels: ['x term', '1/b term'],
+    usesLicenses: true,
+    params: [],
+    terms: ({ x, b }, { weight1, weight2 }) => [
+      { key: 'x', label: 'x', weight: weight1, value: x },
+      { key: 'license', label: '1/b', weight: weight2, value: 1 / b }
+    ],
+    formula: ({ weight1, weight2 }) => `y = ${formatNumber(weight1)}x + ${formatNumber(weight2)}(1/b)`,
+    legend: 'y = availability score, x = (slots remaining)/(slots the provider is available for), b = number of states the provider is licensed in'
+  },
+  utilization: {
+    label: 'Recent utilization term',
+    usesWeights: true,
+    weightLabels: ['x term', 'utilization term'],
+    usesLicenses: false,
+    params: [],
+    terms: ({ x, recentUtilization }, { weight1, weight2 }) => [
+      { key: 'x', label: 'x', weight: weight1, value: x },
+      { key: 'utilization', label: '(1-u)', weight: weight2, value: 1 - recentUtilization }
+    ],
+    formula: ({ weight1, weight2 }) => `y = ${formatNumber(weight1)}x + ${formatNumber(weight2)}(1-u)`,
+    legend: 'y = availability score, x = (slots remaining)/(slots the provider is available for), u = provider\'s recent utilization (roster)'
+  },
+  leastLoaded: {
+    label: 'Least loaded (baseline)',
+    usesWeights: false,
+    usesLicenses: false,
+    params: [],
+    terms: ({ x }) => [
+      { key: 'x', label: 'x', weight: 1, value: x }
+    ],
+    formula: () => 'y = x',
+    legend: 'y = availability score, x = (slots remaining)/(slots the provider is available for)'
+  },
+  roundRobin: {
+    label: 'Round robin (baseline)',
+    usesWeights: false,
+    usesLicenses: false,
+    params: [],
+    terms: ({ bookedCount }) => [
+      { key: 'bookings', label: 'n', weight: -1, value: bookedCount }
+    ],
+    formula: () => 'y = -n',
+    legend: 'y = availability score, n = slots booked so far (fewest bookings goes next)'
+  }
+}
+
+// Look up a strategy, falling back to the default for unknown IDs
+export const getStrategy = (strategyId) => {
+  return scoringStrategies[strategyId] || scoringStrategies[DEFAULT_STRATEGY]
+}
+
+// Default parameter values for a strategy: { decay: 1.2 }
+export const getDefaultStrategyParams = (strategyId) => {
+  return Object.fromEntries(getStrategy(strategyId).params.map(param => [param.key, param.defaultValue]))
+}
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_STRATEGY, getDefaultStrategyParams, getStrategy, scoringStrategies } from './strategies.js'
+
+const inputs = { x: 0.5, b: 2, bookedCount: 3, recentUtilization: 0.25 }
+const params = { weight1: 0.8, weight2: 0.2, decay: 1.2 }
+const score = (strategyId) => {
+  return getStrategy(strategyId).terms(inputs, params).reduce((sum, term) => sum + term.weight * term.value, 0)
+}
+
+describe('scoring strategies', () => {
+  it('scores each strategy as its formula says', () => {
+    assert.ok(Math.abs(score('exponential') - (0.8 * 0.5 + 0.2 * Math.exp(-1.2))) < 1e-12)
+    assert.ok(Math.abs(score('linear') - (0.8 * 0.5 + 0.2 / 2)) < 1e-12)
+    assert.ok(Math.abs(score('utilization') - (0.8 * 0.5 + 0.2 * 0.75)) < 1e-12)
+    assert.equal(score('leastLoaded'), 0.5)
+    assert.equal(score('roundRobin'), -3)
+  })
+
+  it('describes every strategy completely', () => {
+    Object.entries(scoringStrategies).forEach(([id, strategy]) => {
+      assert.equal(typeof strategy.label, 'string', id)
+      assert.equal(typeof strategy.formula(params), 'string', id)
+      assert.ok(Array.isArray(strategy.params), id)
+      strategy.terms(inputs, params).forEach(term => {
+        assert.ok(term.key && term.label && Number.isFinite(term.weight) && Number.isFinite(term.value), id)
+      })
+    })
+  })
+
+  it('shows the weights and decay in the formula', () => {
+    assert.equal(getStrategy('exponential').formula({ weight1: 0.75, weight2: 0.25, decay: 1.2 }), 'y = 0.75x + 0.25e^(-1.2(b-1))')
+  })
+})
+
+describe('strategy lookup', () => {
+  it('falls back to the default for unknown IDs', () => {
+    assert.equal(getStrategy('nonsense'), scoringStrategies[DEFAULT_STRATEGY])
+  })
+
+  it('gives each strategy its default parameters', () => {
+    assert.deepEqual(getDefaultStrategyParams('exponential'), { decay: 1.2 })
+    assert.deepEqual(getDefaultStrategyParams('linear'), {})
+  })
+})
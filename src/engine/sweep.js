@@ -0,0 +1,81 @@
+// Weight sweep: run the batch simulation across a range of weight1 values, and
+// optionally decay constants, with one fixed seed set so every cell sees the same
+// demand. Each cell records every provider's expected share of the bookings and the
+// mean Gini coefficient, and recommendSweepCell picks the settings that meet a target
+// such as "1-license providers get at least 30% of the bookings".
+
+import { getLicenseCount } from './licensing.js'
+import { runBatch } from './simulation.js'
+
+// Starting ranges for the sweep controls (inclusive)
+export const DEFAULT_SWEEP_RANGES = {
+  weight1: { min: 0.1, max: 0.9, step: 0.05 },
+  decay: { min: 0.4, max: 2, step: 0.4 }
+}
+
+// Values from min to max in steps, rounded so 0.1 + 0.05 + ... doesn't drift: [0.1, 0.15, ...]
+export const getSweepValues = ({ min, max, step }) => {
+  const values = []
+  if (!(step > 0) || min > max) return values
+  for (let i = 0; min + i * step <= max + 1e-9; i++) {
+    values.push(Math.round((min + i * step) * 1000) / 1000)
+  }
+  return values
+}
+
+// One cell per weight1 and decay pair; decay is null when it isn't swept
+//   [{ weight1, decay }]
+export const buildSweepCells = (weight1Values, decayValues = [null]) => {
+  return decayValues.flatMap(decay => weight1Values.map(weight1 => ({ weight1, decay })))
+}
+
+// Engine context for one cell: the base context with the cell's weights and decay
+export const getSweepCellContext = (context, { weight1, decay }) => {
+  return {
+    ...context,
+    weight1,
+    weight2: 1 - weight1,
+    strategyParams: decay === null ? context.strategyParams : { ...context.strategyParams, decay }
+  }
+}
+
+// Run one cell's batch (seeds seed .. seed + runs - 1, as runBatch does) and summarise it:
+//   { weight1, decay, shares: { providerId: share of all bookings }, gini }
+export const runSweepCell = (context, cell, { runs, seed, maxBookings, demand }) => {
+  const report = runBatch(getSweepCellContext(context, cell), { runs, seed, maxBookings, demand })
+  const totalSlots = report.providers.reduce((sum, provider) => sum + provider.meanSlots, 0)
+  return {
+    ...cell,
+    shares: Object.fromEntries(report.providers.map(provider => [provider.id, totalSlots > 0 ? provider.meanSlots / totalSlots : 0])),
+    gini: report.gini.mean
+  }
+}
+
+// Combined share of the bookings that went to providers with a given license count
+export const getLicenseGroupShare = (result, providers, licenses) => {
+  return providers
+    .filter(provider => getLicenseCount(provider) === licenses)
+    .reduce((sum, provider) => sum + (result.shares[provider.id] || 0), 0)
+}
+
+// Whether a cell meets a target { licenses, minShare, maxGini }; minShare and maxGini
+// are fractions and either may be null to leave it out
+export const meetsSweepTarget = (result, providers, { licenses, minShare, maxGini }) => {
+  if (minShare !== null && getLicenseGroupShare(result, providers, licenses) < minShare) return false
+  if (maxGini !== null && result.gini > maxGini) return false
+  return true
+}
+
+// The cell to recommend: of those meeting the target, the fairest (lowest Gini), then
+// the one giving the license group the most. null when no cell meets the target.
+export const recommendSweepCell = (results, providers, target) => {
+  const groupShare = (result) => getLicenseGroupShare(result, providers, target.licenses)
+  return results
+    .filter(result => meetsSweepTarget(result, providers, target))
+    .reduce((best, result) => {
+      if (!best || result.gini < best.gini || (result.gini === best.gini && groupShare(result) > groupShare(best))) {
+        return result
+      }
+      return best
+    }, null)
+}
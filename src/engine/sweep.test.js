@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getLicenseGroupShare, getSweepValues, recommendSweepCell } from './sweep.js'
+
+// Providers licensed through state lists are grouped by the length of the list
+const providers = [
+  { id: 1, name: 'A', licenses: 1, states: ['CA'] },
+  { id: 2, name: 'B', licenses: 1, states: ['NY'] },
+  { id: 3, name: 'C', licenses: 2, states: ['CA', 'TX'] },
+  { id: 4, name: 'D', licenses: 3 }
+]
+const results = [
+  { weight1: 0.5, decay: null, shares: { 1: 0.1, 2: 0.1, 3: 0.3, 4: 0.5 }, gini: 0.2 },
+  { weight1: 0.8, decay: null, shares: { 1: 0.2, 2: 0.2, 3: 0.3, 4: 0.3 }, gini: 0.3 }
+]
+
+describe('getSweepValues', () => {
+  it('steps from min to max without drifting', () => {
+    assert.deepEqual(getSweepValues({ min: 0.1, max: 0.3, step: 0.05 }), [0.1, 0.15, 0.2, 0.25, 0.3])
+    assert.deepEqual(getSweepValues({ min: 0.5, max: 0.1, step: 0.1 }), [])
+  })
+})
+
+describe('getLicenseGroupShare', () => {
+  it('adds up the shares of providers with the given license count', () => {
+    assert.ok(Math.abs(getLicenseGroupShare(results[1], providers, 1) - 0.4) < 1e-12)
+    assert.equal(getLicenseGroupShare(results[1], providers, 2), 0.3)
+    assert.equal(getLicenseGroupShare(results[1], providers, 3), 0.3)
+  })
+
+  it('counts states even when the license count is stale', () => {
+    const stale = providers.map(provider => (provider.id === 3 ? { ...provider, licenses: 5 } : provider))
+    assert.equal(getLicenseGroupShare(results[1], stale, 2), 0.3)
+  })
+})
+
+describe('recommendSweepCell', () => {
+  it('picks the fairest cell that meets the target', () => {
+    assert.equal(recommendSweepCell(results, providers, { licenses: 1, minShare: 0.3, maxGini: null }), results[1])
+    assert.equal(recommendSweepCell(results, providers, { licenses: 1, minShare: null, maxGini: null }), results[0])
+    assert.equal(recommendSweepCell(results, providers, { licenses: 1, minShare: 0.5, maxGini: null }), null)
+  })
+})
@@ -0,0 +1,70 @@
+// Registry of tie-breaking policies, applied when several providers share the highest
+// score for a slot. A policy provides:
+//   label - name shown in the tie-break picker
+//   pick  - (tied, { slotId, seed, totalBookings }) -> { index, reason }
+//           tied is [{ id, licenses, bookedCount }] ordered by provider ID, index is
+//           the winner's position in it and reason explains the choice in a few words
+// Policies only see the selection through these counts, so the same slot and board
+// always resolve the same way and rendering never changes the outcome.
+
+import { randomForKey } from './random.js'
+
+export const DEFAULT_TIE_BREAK = 'slotHash'
+
+// Hash a slot ID by its time of day ("2024-01-01-10-40" -> 10 + 40 = 50)
+export const getSlotHash = (slotId) => {
+  return slotId.split('-').slice(-2).reduce((acc, val) => acc + parseInt(val || 0), 0)
+}
+
+// Position of the first tied provider with the smallest value of a field (lowest ID on a further tie)
+const indexOfFewest = (tied, field) => {
+  return tied.reduce((best, candidate, index) => (candidate[field] < tied[best][field] ? index : best), 0)
+}
+
+export const tieBreakPolicies = {
+  slotHash: {
+    label: 'Slot time hash',
+    pick: (tied, { slotId }) => {
+      const slotHash = getSlotHash(slotId)
+      const index = slotHash % tied.length
+      return { index, reason: `slot hash ${slotHash} (hour + minute) mod ${tied.length} = ${index}` }
+    }
+  },
+  lowestId: {
+    label: 'Lowest provider ID',
+    pick: (tied) => ({ index: 0, reason: `lowest provider ID (${tied[0].id})` })
+  },
+  fewestLicenses: {
+    label: 'Fewest licenses',
+    pick: (tied) => {
+      const index = indexOfFewest(tied, 'licenses')
+      return { index, reason: `fewest licenses (${tied[index].licenses}), then lowest provider ID` }
+    }
+  },
+  fewestAssigned: {
+    label: 'Fewest assigned so far',
+    pick: (tied) => {
+      const index = indexOfFewest(tied, 'bookedCount')
+      return { index, reason: `fewest slots booked so far (${tied[index].bookedCount}), then lowest provider ID` }
+    }
+  },
+  seededRandom: {
+    label: 'Seeded random',
+    pick: (tied, { slotId, seed, totalBookings }) => {
+      const index = Math.floor(randomForKey(seed, `${slotId}:${totalBookings}`) * tied.length)
+      return { index, reason: `random draw from seed ${seed}` }
+    }
+  },
+  roundRobin: {
+    label: 'Rotating round-robin',
+    pick: (tied, { totalBookings }) => {
+      const index = totalBookings % tied.length
+      return { index, reason: `${totalBookings} bookings so far mod ${tied.length} = ${index}` }
+    }
+  }
+}
+
+// Look up a policy, falling back to the default for unknown IDs
+export const getTieBreakPolicy = (policyId) => {
+  return tieBreakPolicies[policyId] || tieBreakPolicies[DEFAULT_TIE_BREAK]
+}
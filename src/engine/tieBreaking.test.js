@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { randomForKey } from './random.js'
+import { breakTie, createEngineContext } from './scoring.js'
+import { DEFAULT_TIE_BREAK, getTieBreakPolicy, tieBreakPolicies } from './tieBreaking.js'
+
+// Tied providers as the policies see them, ordered by provider ID
+const tied = [
+  { id: 2, licenses: 3, bookedCount: 4 },
+  { id: 5, licenses: 1, bookedCount: 2 },
+  { id: 7, licenses: 1, bookedCount: 2 }
+]
+const slotId = '2024-01-01-10-40'
+
+describe('tie-break policies', () => {
+  it('lowestId takes the first tied provider', () => {
+    assert.equal(tieBreakPolicies.lowestId.pick(tied, { slotId }).index, 0)
+  })
+
+  it('fewestLicenses and fewestAssigned take the smallest count, then the lowest ID', () => {
+    const byLicenses = tieBreakPolicies.fewestLicenses.pick(tied, { slotId })
+    assert.equal(byLicenses.index, 1)
+    assert.match(byLicenses.reason, /fewest licenses \(1\)/)
+    const byBookings = tieBreakPolicies.fewestAssigned.pick(tied, { slotId })
+    assert.equal(byBookings.index, 1)
+    assert.match(byBookings.reason, /fewest slots booked so far \(2\)/)
+  })
+
+  it('roundRobin rotates with the number of bookings made', () => {
+    const picks = [0, 1, 2, 3].map(totalBookings => tieBreakPolicies.roundRobin.pick(tied, { slotId, totalBookings }).index)
+    assert.deepEqual(picks, [0, 1, 2, 0])
+  })
+
+  it('seededRandom draws from the seed, slot and booking count', () => {
+    const pick = (seed, totalBookings) => tieBreakPolicies.seededRandom.pick(tied, { slotId, seed, totalBookings }).index
+    assert.equal(pick(42, 3), Math.floor(randomForKey(42, `${slotId}:3`) * tied.length))
+    assert.equal(pick(42, 3), pick(42, 3))
+    const picks = new Set(Array.from({ length: 30 }, (_, totalBookings) => pick(42, totalBookings)))
+    assert.deepEqual([...picks].sort(), [0, 1, 2])
+  })
+
+  it('every policy returns a valid index and a reason', () => {
+    Object.values(tieBreakPolicies).forEach(policy => {
+      const { index, reason } = policy.pick(tied, { slotId, seed: 1, totalBookings: 5 })
+      assert.ok(Number.isInteger(index) && index >= 0 && index < tied.length)
+      assert.equal(typeof reason, 'string')
+    })
+  })
+
+  it('falls back to the default for unknown IDs', () => {
+    assert.equal(getTieBreakPolicy('nope'), tieBreakPolicies[DEFAULT_TIE_BREAK])
+  })
+})
+
+describe('breakTie', () => {
+  const providers = [
+    { id: 3, name: 'C', states: ['CA', 'NY'], licenses: 2 },
+    { id: 1, name: 'A', states: ['CA', 'NY', 'TX'], licenses: 3 }
+  ]
+
+  it('feeds the policy license and booking counts ordered by provider ID', () => {
+    const context = createEngineContext({ providers, timeSlots: [], tieBreak: 'fewestLicenses' })
+    const result = breakTie([{ id: 3 }, { id: 1 }], slotId, {}, context)
+    assert.deepEqual(result.tiedIds, [1, 3])
+    assert.equal(result.winnerId, 3)
+    assert.equal(result.policy, 'fewestLicenses')
+  })
+
+  it('counts existing bookings for fewestAssigned and roundRobin', () => {
+    const selection = { 1: { a: true, b: false }, 3: { a: true, c: true } }
+    const fewest = breakTie([{ id: 3 }, { id: 1 }], slotId, selection, createEngineContext({ providers, timeSlots: [], tieBreak: 'fewestAssigned' }))
+    assert.equal(fewest.winnerId, 1)
+    const rotating = breakTie([{ id: 3 }, { id: 1 }], slotId, selection, createEngineContext({ providers, timeSlots: [], tieBreak: 'roundRobin' }))
+    assert.equal(rotating.index, 3 % 2)
+    assert.equal(rotating.winnerId, 3)
+  })
+})
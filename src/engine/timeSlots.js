@@ -0,0 +1,95 @@
+// Clinic day configuration and time slot generation.
+// Slot IDs encode the date and time of day in UTC: "2024-01-01-10-40" is 10:40 UTC on
+// Jan 1 2024. displayTime is that time as "10:40 AM"; see timeZones.js for other zones.
+
+// Slot lengths offered in the UI (minutes)
+export const SLOT_INTERVALS = [5, 10, 15, 20, 30, 60]
+
+// 10am to 1pm in 10-minute slots on a single day (Monday Jan 1 2024)
+export const defaultSlotConfig = {
+  startDate: '2024-01-01',
+  days: 1,
+  skipWeekends: true,
+  startHour: 10,
+  endHour: 13, // 1pm
+  intervalMinutes: 10
+}
+
+// Check a slot configuration, returning a list of problems (empty when valid)
+export const validateSlotConfig = (config) => {
+  const errors = []
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(config.startDate) || Number.isNaN(Date.parse(config.startDate))) {
+    errors.push(`startDate must be a YYYY-MM-DD date, got "${config.startDate}"`)
+  }
+  if (!Number.isInteger(config.days) || config.days < 1 || config.days > 14) {
+    errors.push(`days must be between 1 and 14, got ${config.days}`)
+  }
+  if (!Number.isInteger(config.startHour) || config.startHour < 0 || config.startHour > 23) {
+    errors.push(`startHour must be between 0 and 23, got ${config.startHour}`)
+  }
+  if (!Number.isInteger(config.endHour) || config.endHour <= config.startHour || config.endHour > 24) {
+    errors.push(`endHour must be after startHour and at most 24, got ${config.endHour}`)
+  }
+  if (!SLOT_INTERVALS.includes(config.intervalMinutes)) {
+    errors.push(`intervalMinutes must be one of ${SLOT_INTERVALS.join(', ')}, got ${config.intervalMinutes}`)
+  }
+  return errors
+}
+
+// Dates of the clinic days, as YYYY-MM-DD strings (weekends skipped if configured)
+export const getClinicDates = ({ startDate, days, skipWeekends }) => {
+  const [year, month, day] = startDate.split('-').map(Number)
+  const dates = []
+  for (let offset = 0; dates.length < days; offset++) {
+    const date = new Date(Date.UTC(year, month - 1, day + offset))
+    const weekday = date.getUTCDay()
+    if (skipWeekends && (weekday === 0 || weekday === 6)) continue
+    dates.push(date.toISOString().slice(0, 10))
+  }
+  return dates
+}
+
+// Short label for a clinic day, e.g. "Mon, Jan 1"
+export const formatDayLabel = (date) => {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  })
+}
+
+// 640 -> "10:40"
+const formatMinutesOfDay = (minuteOfDay) => {
+  const hour = Math.floor(minuteOfDay / 60)
+  const minute = minuteOfDay % 60
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`
+}
+
+// Generate time slots for every clinic day from startHour to endHour
+export const generateTimeSlots = (config = defaultSlotConfig) => {
+  const { startHour, endHour, intervalMinutes } = config
+  const slots = []
+
+  getClinicDates(config).forEach((date, dayIndex) => {
+    for (let minuteOfDay = startHour * 60; minuteOfDay < endHour * 60; minuteOfDay += intervalMinutes) {
+      const hour = Math.floor(minuteOfDay / 60)
+      const minute = minuteOfDay % 60
+      slots.push({
+        id: `${date}-${hour}-${minute}`,
+        date,
+        dayIndex,
+        dayLabel: formatDayLabel(date),
+        time: formatMinutesOfDay(minuteOfDay),
+        endTime: formatMinutesOfDay(minuteOfDay + intervalMinutes),
+        displayTime: new Date(Date.UTC(2024, 0, 1, hour, minute)).toLocaleTimeString('en-US', {
+          hour: 'numeric',
+          minute: '2-digit',
+          hour12: true,
+          timeZone: 'UTC'
+        })
+      })
+    }
+  })
+  return slots
+}
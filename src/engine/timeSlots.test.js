@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { defaultSlotConfig, generateTimeSlots, getClinicDates, validateSlotConfig } from './timeSlots.js'
+
+describe('generateTimeSlots', () => {
+  it('makes the default 10:00 to 13:00 day of ten-minute slots', () => {
+    const slots = generateTimeSlots(defaultSlotConfig)
+    assert.equal(slots.length, 18)
+    assert.deepEqual(slots[0], {
+      id: '2024-01-01-10-0',
+      date: '2024-01-01',
+      dayIndex: 0,
+      dayLabel: 'Mon, Jan 1',
+      time: '10:00',
+      endTime: '10:10',
+      displayTime: '10:00 AM'
+    })
+    assert.equal(slots[17].id, '2024-01-01-12-50')
+    assert.equal(slots[17].endTime, '13:00')
+  })
+
+  it('repeats the hours on every clinic day', () => {
+    const slots = generateTimeSlots({ ...defaultSlotConfig, days: 3, intervalMinutes: 60 })
+    assert.equal(slots.length, 9)
+    assert.deepEqual([...new Set(slots.map(slot => slot.dayIndex))], [0, 1, 2])
+    assert.equal(slots[3].id, '2024-01-02-10-0')
+  })
+
+  it('ends a day at midnight when endHour is 24', () => {
+    const slots = generateTimeSlots({ ...defaultSlotConfig, startHour: 23, endHour: 24, intervalMinutes: 30 })
+    assert.deepEqual(slots.map(slot => slot.endTime), ['23:30', '24:00'])
+  })
+})
+
+describe('getClinicDates', () => {
+  it('skips weekends when asked to', () => {
+    // Jan 5 2024 is a Friday
+    assert.deepEqual(getClinicDates({ startDate: '2024-01-05', days: 2, skipWeekends: true }), ['2024-01-05', '2024-01-08'])
+    assert.deepEqual(getClinicDates({ startDate: '2024-01-05', days: 2, skipWeekends: false }), ['2024-01-05', '2024-01-06'])
+  })
+})
+
+describe('validateSlotConfig', () => {
+  it('accepts the default configuration', () => {
+    assert.deepEqual(validateSlotConfig(defaultSlotConfig), [])
+  })
+
+  it('lists every problem', () => {
+    const errors = validateSlotConfig({ startDate: 'soon', days: 0, skipWeekends: true, startHour: 12, endHour: 9, intervalMinutes: 7 })
+    assert.equal(errors.length, 4)
+    assert.match(errors[0], /^startDate/)
+    assert.match(errors[3], /^intervalMinutes must be one of/)
+  })
+})
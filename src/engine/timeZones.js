@@ -0,0 +1,90 @@
+// Time zones for showing slots and for providers' home hours.
+// Slots are defined in UTC (the slot ID "2024-01-01-10-40" is 10:40 UTC); these helpers
+// turn a slot into the wall-clock time of another zone, daylight saving included.
+
+// Zones offered in the UI: UTC and the four contiguous US zones
+export const TIME_ZONES = [
+  { id: 'UTC', label: 'UTC' },
+  { id: 'America/New_York', label: 'Eastern' },
+  { id: 'America/Chicago', label: 'Central' },
+  { id: 'America/Denver', label: 'Mountain' },
+  { id: 'America/Los_Angeles', label: 'Pacific' }
+]
+
+export const DEFAULT_TIME_ZONE = 'UTC'
+
+// Working hours assumed for a provider with a home time zone but no shift
+export const DEFAULT_LOCAL_HOURS = { start: '08:00', end: '18:00' }
+
+// Short name of a zone: "Eastern", or the IANA name for zones not in TIME_ZONES
+export const getTimeZoneLabel = (timeZone) => {
+  return TIME_ZONES.find(zone => zone.id === timeZone)?.label ?? timeZone
+}
+
+// Whether the runtime knows an IANA zone name such as "America/Chicago"
+export const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Formatter options by style: parts for arithmetic, display for a time ("5:40 AM"),
+// day for a date ("Mon, Jan 1", as formatDayLabel writes it)
+const FORMAT_OPTIONS = {
+  parts: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  display: { hour: 'numeric', minute: '2-digit', hour12: true },
+  day: { weekday: 'short', month: 'short', day: 'numeric' }
+}
+
+// Intl formatters are slow to build, so keep one per zone and style
+const formatters = new Map()
+const getFormatter = (timeZone, style) => {
+  const key = `${timeZone}|${style}`
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', { timeZone, ...FORMAT_OPTIONS[style] }))
+  }
+  return formatters.get(key)
+}
+
+// The instant a slot starts, from its UTC date and time
+const getSlotStart = (slot) => {
+  return new Date(`${slot.date}T${slot.time}:00Z`)
+}
+
+// Wall-clock date and start minute of a slot in a zone:
+//   { date: 'YYYY-MM-DD', minuteOfDay }
+export const getLocalSlotTime = (slot, timeZone) => {
+  const parts = Object.fromEntries(getFormatter(timeZone, 'parts')
+    .formatToParts(getSlotStart(slot))
+    .map(({ type, value }) => [type, value]))
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute)
+  }
+}
+
+// A slot's start time in a zone for display, e.g. "5:40 AM"
+export const formatSlotTime = (slot, timeZone = DEFAULT_TIME_ZONE) => {
+  return getFormatter(timeZone, 'display').format(getSlotStart(slot))
+}
+
+// Days between a slot's UTC date and its date in a zone: -1, 0 or 1
+export const getDayShift = (slot, timeZone) => {
+  return Math.round((Date.parse(getLocalSlotTime(slot, timeZone).date) - Date.parse(slot.date)) / 86400000)
+}
+
+// Display text for every slot of a clinic day in a zone, worked out once so the grid
+// doesn't format each cell on every render:
+//   { slotId: { time: '5:40 AM', dayLabel: 'Mon, Jan 1', label: 'Mon, Jan 1 5:40 AM', dayShift } }
+export const getSlotLabels = (timeSlots, timeZone = DEFAULT_TIME_ZONE) => {
+  return Object.fromEntries(timeSlots.map(slot => {
+    const start = getSlotStart(slot)
+    const time = getFormatter(timeZone, 'display').format(start)
+    const dayLabel = getFormatter(timeZone, 'day').format(start)
+    return [slot.id, { time, dayLabel, label: `${dayLabel} ${time}`, dayShift: getDayShift(slot, timeZone) }]
+  }))
+}
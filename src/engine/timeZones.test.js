@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getSlotLabels } from './timeZones.js'
+import { generateTimeSlots } from './timeSlots.js'
+
+describe('getSlotLabels', () => {
+  // Two days around the start of US daylight saving time (Sunday 2024-03-10)
+  const timeSlots = generateTimeSlots({ startDate: '2024-03-09', days: 2, skipWeekends: false, startHour: 2, endHour: 13, intervalMinutes: 60 })
+
+  it('labels slots in UTC by default', () => {
+    assert.deepEqual(getSlotLabels(timeSlots)['2024-03-09-2-0'], { time: '2:00 AM', dayLabel: 'Sat, Mar 9', label: 'Sat, Mar 9 2:00 AM', dayShift: 0 })
+  })
+
+  it('moves early UTC slots to the previous local day, daylight saving included', () => {
+    const labels = getSlotLabels(timeSlots, 'America/New_York')
+    assert.deepEqual(labels['2024-03-09-2-0'], { time: '9:00 PM', dayLabel: 'Fri, Mar 8', label: 'Fri, Mar 8 9:00 PM', dayShift: -1 })
+    assert.equal(labels['2024-03-09-12-0'].time, '7:00 AM') // EST, UTC-5
+    assert.equal(labels['2024-03-10-12-0'].time, '8:00 AM') // EDT, UTC-4
+    assert.equal(timeSlots.length, Object.keys(labels).length)
+  })
+})
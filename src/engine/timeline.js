@@ -0,0 +1,99 @@
+// Booking timeline: the ordered log of selection events plus a cursor into it.
+// The board always shows the selection produced by replaying events[0..position),
+// so moving the cursor scrubs back and forth through a run, and recording a new
+// event while the cursor is behind the end discards the events after it.
+//   { events: [{ providerId, slotId, selected, iteration, source, score, patientState }], position }
+
+export const EMPTY_TIMELINE = { events: [], position: 0 }
+
+// One entry of the booking event log; iteration is null for manual toggles and
+// patientState is the booked patient's home state, when known
+export const createSelectionEvent = (providerId, slotId, selected, iteration, score, patientState = null) => {
+  return {
+    providerId,
+    slotId,
+    selected,
+    iteration,
+    source: iteration === null ? 'manual' : 'simulation',
+    score,
+    patientState
+  }
+}
+
+// Selection state ({ providerId: { slotId: true } }) after applying events in order
+export const replayEvents = (events) => {
+  const selection = {}
+  events.forEach(({ providerId, slotId, selected }) => {
+    selection[providerId] = { ...selection[providerId], [slotId]: selected }
+  })
+  return selection
+}
+
+// Events currently applied to the board
+export const getAppliedEvents = (timeline) => {
+  return timeline.events.slice(0, timeline.position)
+}
+
+// Record a new event at the cursor, dropping any undone events after it
+export const recordEvent = (timeline, event) => {
+  return {
+    events: [...getAppliedEvents(timeline), event],
+    position: timeline.position + 1
+  }
+}
+
+// Record several events at the cursor in order, as recordEvent would one at a time
+export const recordEvents = (timeline, events) => {
+  return {
+    events: [...getAppliedEvents(timeline), ...events],
+    position: timeline.position + events.length
+  }
+}
+
+// Move the cursor, clamped to the log
+export const seekTimeline = (timeline, position) => {
+  return { ...timeline, position: Math.max(0, Math.min(timeline.events.length, position)) }
+}
+
+// Undo/redo only step over manual toggles; simulated picks are replayed with the step buttons
+export const canUndo = (timeline) => {
+  return timeline.events[timeline.position - 1]?.source === 'manual'
+}
+
+export const canRedo = (timeline) => {
+  return timeline.events[timeline.position]?.source === 'manual'
+}
+
+// Remove a provider's events, keeping the cursor on the same remaining events
+export const removeProviderEvents = (timeline, providerId) => {
+  const removedBeforeCursor = getAppliedEvents(timeline).filter(event => event.providerId === providerId).length
+  return {
+    events: timeline.events.filter(event => event.providerId !== providerId),
+    position: timeline.position - removedBeforeCursor
+  }
+}
+
+// Highest simulation iteration among the applied events (0 if none)
+export const getLastIteration = (timeline) => {
+  return getAppliedEvents(timeline).reduce((max, event) => Math.max(max, event.iteration || 0), 0)
+}
+
+// Build a log for a selection that has no recorded history: one manual booking per slot, in time order
+export const eventsFromSelection = (selectedSlots, timeSlots) => {
+  const events = []
+  timeSlots.forEach(slot => {
+    Object.keys(selectedSlots).forEach(providerKey => {
+      if (selectedSlots[providerKey][slot.id]) {
+        events.push(createSelectionEvent(Number(providerKey), slot.id, true, null))
+      }
+    })
+  })
+  return events
+}
+
+// Slots booked by one simulation iteration among the applied events: [{ providerId, slotId }]
+export const getIterationBookings = (timeline, iteration) => {
+  return getAppliedEvents(timeline)
+    .filter(event => event.iteration === iteration && event.selected)
+    .map(({ providerId, slotId }) => ({ providerId, slotId }))
+}
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  EMPTY_TIMELINE,
+  canRedo,
+  canUndo,
+  createSelectionEvent,
+  eventsFromSelection,
+  getIterationBookings,
+  getLastIteration,
+  recordEvent,
+  recordEvents,
+  removeProviderEvents,
+  replayEvents,
+  seekTimeline
+} from './timeline.js'
+import { generateTimeSlots } from './timeSlots.js'
+
+const manual = (providerId, slotId, selected = true) => createSelectionEvent(providerId, slotId, selected, null, 1)
+const simulated = (providerId, slotId, iteration) => createSelectionEvent(providerId, slotId, true, iteration, 1)
+
+describe('recording events', () => {
+  it('marks manual toggles and simulated picks by their iteration', () => {
+    assert.equal(manual(1, 'a').source, 'manual')
+    assert.equal(simulated(1, 'a', 3).source, 'simulation')
+  })
+
+  it('appends at the cursor and replays into a selection', () => {
+    const timeline = recordEvents(recordEvent(EMPTY_TIMELINE, manual(1, 'a')), [manual(2, 'b'), manual(1, 'a', false)])
+    assert.equal(timeline.position, 3)
+    assert.deepEqual(replayEvents(timeline.events), { 1: { a: false }, 2: { b: true } })
+  })
+
+  it('drops undone events when recording behind the end', () => {
+    const timeline = recordEvents(EMPTY_TIMELINE, [manual(1, 'a'), manual(1, 'b'), manual(1, 'c')])
+    const branched = recordEvent(seekTimeline(timeline, 1), manual(2, 'd'))
+    assert.deepEqual(branched.events.map(event => event.slotId), ['a', 'd'])
+    assert.equal(branched.position, 2)
+  })
+})
+
+describe('seeking and undo', () => {
+  const timeline = recordEvents(EMPTY_TIMELINE, [simulated(1, 'a', 1), simulated(2, 'b', 2), manual(1, 'c')])
+
+  it('clamps the cursor to the log', () => {
+    assert.equal(seekTimeline(timeline, -4).position, 0)
+    assert.equal(seekTimeline(timeline, 10).position, 3)
+    assert.equal(seekTimeline(timeline, 2).events, timeline.events)
+  })
+
+  it('only undoes and redoes manual toggles', () => {
+    assert.equal(canUndo(timeline), true)
+    assert.equal(canRedo(timeline), false)
+    const undone = seekTimeline(timeline, 2)
+    assert.equal(canUndo(undone), false)
+    assert.equal(canRedo(undone), true)
+  })
+
+  it('reads iterations from the applied events only', () => {
+    assert.equal(getLastIteration(timeline), 2)
+    assert.equal(getLastIteration(seekTimeline(timeline, 1)), 1)
+    assert.deepEqual(getIterationBookings(timeline, 2), [{ providerId: 2, slotId: 'b' }])
+    assert.deepEqual(getIterationBookings(seekTimeline(timeline, 1), 2), [])
+  })
+})
+
+describe('timeline maintenance', () => {
+  it('removes a provider and keeps the cursor on the same remaining events', () => {
+    const timeline = seekTimeline(recordEvents(EMPTY_TIMELINE, [manual(1, 'a'), manual(2, 'b'), manual(1, 'c'), manual(2, 'd')]), 3)
+    const removed = removeProviderEvents(timeline, 1)
+    assert.deepEqual(removed.events.map(event => event.slotId), ['b', 'd'])
+    assert.equal(removed.position, 1)
+  })
+
+  it('builds a manual log from a selection in slot order', () => {
+    const timeSlots = generateTimeSlots()
+    const events = eventsFromSelection({ 2: { [timeSlots[0].id]: true }, 1: { [timeSlots[3].id]: true, [timeSlots[1].id]: false } }, timeSlots)
+    assert.deepEqual(events.map(({ providerId, slotId, source }) => [providerId, slotId, source]), [
+      [2, timeSlots[0].id, 'manual'],
+      [1, timeSlots[3].id, 'manual']
+    ])
+  })
+})
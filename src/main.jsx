@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { decodeShareHash } from './engine/shareLink.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// A share link's scenario is decompressed before the first render, so the page opens on it
+decodeShareHash(window.location.hash).then((sharedLink) => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App sharedLink={sharedLink} />
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,75 @@
+import { parseScenario, validateScenario } from '../engine/scenario.js'
+
+// Browser storage for scenarios: the auto-saved current session and the named
+// scenarios of the "Saved scenarios" menu. Everything is checked with
+// validateScenario on the way back in, so an entry written by an older version
+// can't break the page: a named scenario is listed as unloadable with its errors
+// (and kept in storage until deleted), and a session comes back with the errors to
+// show. Storage can be missing or full
+// (private browsing, quota); writes then return false and reads come back empty.
+
+const SESSION_KEY = 'slot-simulator.session'
+const SAVED_SCENARIOS_KEY = 'slot-simulator.saved-scenarios'
+
+const readJson = (key) => {
+  try {
+    const text = window.localStorage.getItem(key)
+    return text === null ? null : JSON.parse(text)
+  } catch {
+    return null
+  }
+}
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Auto-saved session: the scenario the simulator was showing last
+export const saveSession = (scenario) => writeJson(SESSION_KEY, scenario)
+
+// Last session as { scenario } or, when it can no longer be loaded, { errors };
+// null when there is none
+export const loadSession = () => {
+  let text
+  try {
+    text = window.localStorage.getItem(SESSION_KEY)
+  } catch {
+    return null
+  }
+  return text === null ? null : parseScenario(text)
+}
+
+// Named scenarios: [{ id, name, savedAt, scenario }], most recent first. Entries
+// come back exactly as stored, including ones that can't be loaded any more
+// (see getSavedScenarioErrors), so storing the list again never loses them.
+export const loadSavedScenarios = () => {
+  const entries = readJson(SAVED_SCENARIOS_KEY)
+  return Array.isArray(entries) ? entries : []
+}
+
+// Why a stored entry can't be loaded; [] when it can
+export const getSavedScenarioErrors = (entry) => {
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return ['The entry is not an object']
+  }
+  const errors = []
+  if (typeof entry.id !== 'string') errors.push('id must be a string')
+  if (typeof entry.name !== 'string') errors.push('name must be a string')
+  return [...errors, ...validateScenario(entry.scenario)]
+}
+
+export const storeSavedScenarios = (entries) => writeJson(SAVED_SCENARIOS_KEY, entries)
+
+export const createSavedScenario = (name, scenario) => {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    scenario
+  }
+}
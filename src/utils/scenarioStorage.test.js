@@ -0,0 +1,98 @@
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { initialProviders } from '../data/providers.js'
+import { createScenario } from '../engine/scenario.js'
+import { defaultSlotConfig } from '../engine/timeSlots.js'
+import {
+  createSavedScenario,
+  getSavedScenarioErrors,
+  loadSavedScenarios,
+  loadSession,
+  saveSession,
+  storeSavedScenarios
+} from './scenarioStorage.js'
+
+// In-memory stand-in for the browser's localStorage
+const createStorage = () => {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    items
+  }
+}
+
+let storage
+
+beforeEach(() => {
+  storage = createStorage()
+  globalThis.window = { localStorage: storage }
+})
+
+afterEach(() => {
+  delete globalThis.window
+})
+
+// As it reads back from JSON, without the unset optional fields
+const scenario = JSON.parse(JSON.stringify(createScenario({
+  providers: initialProviders,
+  slotConfig: defaultSlotConfig,
+  strategy: 'exponential',
+  strategyParams: {},
+  weight1: 0.8,
+  weight2: 0.2,
+  seed: 1,
+  runSeed: 1,
+  speed: 1560,
+  selectedSlots: {},
+  events: []
+})))
+
+describe('session', () => {
+  it('round-trips the current scenario', () => {
+    assert.equal(saveSession(scenario), true)
+    assert.deepEqual(loadSession(), { scenario })
+  })
+
+  it('is null when nothing is stored and carries errors when it no longer loads', () => {
+    assert.equal(loadSession(), null)
+    storage.setItem('slot-simulator.session', '{"format": "something else"}')
+    assert.equal(loadSession().errors.length, 1)
+  })
+
+  it('reports a full or missing storage as a failed write', () => {
+    storage.setItem = () => { throw new Error('QuotaExceededError') }
+    assert.equal(saveSession(scenario), false)
+  })
+})
+
+describe('saved scenarios', () => {
+  it('round-trips named entries in order', () => {
+    const entries = [createSavedScenario('Second', scenario), createSavedScenario('First', scenario)]
+    assert.equal(storeSavedScenarios(entries), true)
+    assert.deepEqual(loadSavedScenarios(), entries)
+    assert.deepEqual(getSavedScenarioErrors(entries[0]), [])
+  })
+
+  it('keeps entries that no longer load and explains why', () => {
+    const broken = { id: 'old', name: 'From an older version', savedAt: '2024-01-01T00:00:00.000Z', scenario: { ...scenario, version: 0 } }
+    const entries = [createSavedScenario('Good', scenario), broken, 'garbage']
+    storeSavedScenarios(entries)
+
+    const loaded = loadSavedScenarios()
+    assert.deepEqual(loaded, entries)
+    assert.match(getSavedScenarioErrors(loaded[1])[0], /Unsupported scenario version 0/)
+    assert.deepEqual(getSavedScenarioErrors(loaded[2]), ['The entry is not an object'])
+    assert.deepEqual(getSavedScenarioErrors({ scenario }), ['id must be a string', 'name must be a string'])
+
+    // Storing the list again, e.g. after saving a new scenario, keeps them
+    storeSavedScenarios([createSavedScenario('New', scenario), ...loaded])
+    assert.deepEqual(loadSavedScenarios().slice(1), entries)
+  })
+
+  it('comes back empty when storage holds no list', () => {
+    assert.deepEqual(loadSavedScenarios(), [])
+    storage.setItem('slot-simulator.saved-scenarios', 'not json')
+    assert.deepEqual(loadSavedScenarios(), [])
+  })
+})
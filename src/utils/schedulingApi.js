@@ -0,0 +1,41 @@
+// Client for the scheduling API served by scripts/server.js (npm run serve)
+
+export const DEFAULT_API_URL = 'http://127.0.0.1:8787'
+
+// JSON request; the service's { errors } replies become a thrown Error
+const request = async (baseUrl, path, options = {}) => {
+  const response = await fetch(new URL(path, baseUrl), {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  })
+  const data = await response.json().catch(() => null)
+  if (!response.ok) {
+    throw new Error(data?.errors?.join('; ') || `The service answered ${response.status}`)
+  }
+  return data
+}
+
+// Replace the service's roster and clinic day; its bookings of providers and slots still on them are kept
+export const pushRoster = (baseUrl, providers, slotConfig) => {
+  return request(baseUrl, '/roster', { method: 'PUT', body: JSON.stringify({ providers, slotConfig }) })
+}
+
+// Change the service's scoring settings: { weight1, weight2, strategy, strategyParams, tieBreak, compareRawScores }
+export const pushScoring = (baseUrl, scoring) => {
+  return request(baseUrl, '/weights', { method: 'PUT', body: JSON.stringify(scoring) })
+}
+
+// The scenario the service holds, including bookings the backend committed
+export const fetchScenario = (baseUrl) => request(baseUrl, '/scenario')
+
+// Slot winners and provider scores as the grid uses them:
+//   { winners: { slotId: providerId }, scores: { providerId: score } }
+// The service sends null for an infinite score (a provider with no licenses)
+export const fetchBoard = async (baseUrl, patientState = null) => {
+  const query = patientState ? `?patientState=${encodeURIComponent(patientState)}` : ''
+  const board = await request(baseUrl, `/board${query}`)
+  return {
+    winners: board.winners,
+    scores: Object.fromEntries(board.scores.map(({ id, score }) => [id, score ?? Infinity]))
+  }
+}
@@ -0,0 +1,40 @@
+// Timed playback of a list of steps, kept apart from the engine so the grid can show
+// a simulation iteration's picks one by one or all at once.
+// onStep runs for each step: the first after startDelay, the rest stepDelay apart;
+// onDone runs stepDelay after the last one. skip() runs the remaining steps straight
+// away and finishes; cancel() stops without running them or onDone.
+export const playSteps = (steps, { startDelay, stepDelay, onStep, onDone }) => {
+  let index = 0
+  let timer = null
+  let finished = false
+
+  const finish = () => {
+    finished = true
+    timer = null
+    onDone()
+  }
+
+  const next = () => {
+    if (index === steps.length) {
+      finish()
+      return
+    }
+    onStep(steps[index++])
+    timer = setTimeout(next, stepDelay)
+  }
+
+  timer = setTimeout(next, startDelay)
+
+  return {
+    skip: () => {
+      if (finished) return
+      clearTimeout(timer)
+      while (index < steps.length) onStep(steps[index++])
+      finish()
+    },
+    cancel: () => {
+      clearTimeout(timer)
+      finished = true
+    }
+  }
+}
@@ -0,0 +1,42 @@
+// Promise-based front end for the simulation worker: each request gets an id and
+// resolves with the worker's reply to it.
+
+export const createSimulationClient = () => {
+  const worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' })
+  const pending = new Map()
+  let nextId = 0
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id)
+    if (!request) return
+    pending.delete(data.id)
+    if (data.error) {
+      request.reject(new Error(data.error))
+    } else {
+      request.resolve(data)
+    }
+  }
+
+  const send = (type, request) => {
+    return new Promise((resolve, reject) => {
+      const id = nextId++
+      pending.set(id, { resolve, reject })
+      worker.postMessage({ ...request, id, type })
+    })
+  }
+
+  return {
+    // Plan one iteration; resolves with { releases, picks } as selection events
+    planIteration: (request) => send('plan', request),
+    // Run to the end of the simulation; resolves with { events }
+    finishSimulation: (request) => send('finish', request),
+    // Run one weight sweep cell; resolves with { result }
+    runSweepCell: (request) => send('sweep', request),
+    // Run several configurations on the same demand; resolves with { selections }
+    compareConfigurations: (request) => send('compare', request),
+    terminate: () => {
+      worker.terminate()
+      pending.clear()
+    }
+  }
+}
@@ -0,0 +1,69 @@
+// Web Worker that plans simulation iterations off the main thread, so a large roster
+// or a full week of slots doesn't freeze the grid while the engine re-scores.
+// Messages in:
+//   { id, type, context, selection, demand, recentBookings, iteration, seed }
+//     type 'plan' plans one iteration, numbered iteration; 'finish' runs iterations
+//     from there until the board is full (instant mode). context is built with
+//     createEngineContext. Each iteration draws from a generator made from the seed
+//     and its number (createIterationRandom), so the worker keeps no state between
+//     requests and a plan that is discarded can't shift the ones after it.
+//   { id, type: 'sweep', context, cell, runs, seed, maxBookings, demand }
+//     runs one cell of a weight sweep (see engine/sweep.js) with its own seeds.
+//   { id, type: 'compare', contexts, seed, maxBookings, demand }
+//     runs every context against one demand sequence made from the seed.
+// Messages out:
+//   'plan':   { id, releases, picks }
+//   'finish': { id, events }
+//   with selection events (see engine/timeline.js) in the order they happen,
+//   'sweep':  { id, result } with runSweepCell's result,
+//   'compare': { id, selections } in the order of the contexts, or
+//   { id, error } if the engine failed.
+
+import { createDemandSequence, createIterationRandom, planIteration, runSimulation } from '../engine/simulation.js'
+import { runSweepCell } from '../engine/sweep.js'
+import { createSelectionEvent } from '../engine/timeline.js'
+
+const toEvents = ({ releases, picks }, iteration) => {
+  return {
+    releases: releases.map(({ providerId, slotId, score }) => createSelectionEvent(providerId, slotId, false, iteration, score)),
+    picks: picks.map(slot => createSelectionEvent(slot.providerId, slot.slotId, true, iteration, slot.score, slot.patientState))
+  }
+}
+
+self.onmessage = ({ data }) => {
+  const { id, type, context, selection, demand, recentBookings, iteration, seed } = data
+  try {
+    if (type === 'sweep') {
+      const { cell, runs, maxBookings } = data
+      self.postMessage({ id, result: runSweepCell(context, cell, { runs, seed, maxBookings, demand }) })
+      return
+    }
+    if (type === 'compare') {
+      const { contexts, maxBookings } = data
+      const demandSequence = createDemandSequence(seed)
+      const selections = contexts.map(runContext => runSimulation(runContext, { demandSequence, maxBookings, demand }).selection)
+      self.postMessage({ id, selections })
+      return
+    }
+    if (type === 'finish') {
+      const events = []
+      runSimulation(context, {
+        selection,
+        seed,
+        firstIteration: iteration,
+        demand,
+        recentBookings,
+        onIteration: (applied, index) => {
+          const { releases, picks } = toEvents(applied, iteration + index)
+          events.push(...releases, ...picks)
+        }
+      })
+      self.postMessage({ id, events })
+    } else {
+      const plan = planIteration(selection, context, createIterationRandom(seed, iteration), { demand, recentBookings })
+      self.postMessage({ id, ...toEvents(plan, iteration) })
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}